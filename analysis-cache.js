@@ -0,0 +1,37 @@
+const { createJsonStore } = require('./json-store');
+
+// Persistent analysis cache keyed by Spotify track ID.
+// Each entry holds the results of the cacheable metadata providers for one track.
+const store = createJsonStore(process.env.ANALYSIS_CACHE_FILE || 'analysis-cache.json', { label: 'Cache' });
+
+const TTL_HOURS = process.env.ANALYSIS_CACHE_TTL_HOURS !== undefined
+  ? Number(process.env.ANALYSIS_CACHE_TTL_HOURS)
+  : 24 * 7; // 1 week
+const CACHE_TTL = TTL_HOURS * 60 * 60 * 1000; // 0 disables caching
+
+function isExpired(entry) {
+  return Date.now() - Date.parse(entry.analyzedAt) > CACHE_TTL;
+}
+
+function get(trackId) {
+  if (CACHE_TTL <= 0) return null;
+
+  const entry = store.get(trackId);
+  if (!entry) return null;
+
+  if (isExpired(entry)) {
+    store.delete(trackId);
+    return null;
+  }
+  return entry;
+}
+
+function set(trackId, result) {
+  const entry = { analyzedAt: new Date().toISOString(), result };
+  if (CACHE_TTL > 0) {
+    store.set(trackId, entry);
+  }
+  return entry;
+}
+
+module.exports = { get, set };
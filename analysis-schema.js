@@ -0,0 +1,176 @@
+// Normalization of raw provider strings into the typed analysis schema
+// (see schemas/analysis-v1.schema.json). Raw values are kept under `raw`.
+const SCHEMA_VERSION = 1;
+
+const PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Canonical spelling per pitch class, as used on the Camelot wheel
+const MAJOR_NAMES = ['C', 'D♭', 'D', 'E♭', 'E', 'F', 'F♯', 'G', 'A♭', 'A', 'B♭', 'B'];
+const MINOR_NAMES = ['C', 'C♯', 'D', 'E♭', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'B♭', 'B'];
+
+const FEATURE_FIELDS = [
+  'popularity', 'energy', 'danceability', 'happiness', 'acousticness',
+  'instrumentalness', 'liveness', 'speechiness'
+];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const match = value.match(/-?\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+function parseFeature(value) {
+  const n = parseNumber(value);
+  return n === null ? null : Math.min(100, Math.max(0, n));
+}
+
+function keyFromPitchClass(pitchClass, mode) {
+  const names = mode === 'minor' ? MINOR_NAMES : MAJOR_NAMES;
+  return {
+    pitchClass,
+    mode,
+    name: `${names[pitchClass]} ${mode === 'minor' ? 'Minor' : 'Major'}`
+  };
+}
+
+// 'F♯ Minor', 'F# min', 'Gbm', 'C' → { pitchClass, mode, name }
+function parseKey(value) {
+  if (value && typeof value === 'object' && Number.isInteger(value.pitchClass)) {
+    return keyFromPitchClass(value.pitchClass, value.mode === 'minor' ? 'minor' : 'major');
+  }
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^([A-Ga-g])\s*([♯#♭b]?)\s*(major|minor|maj|min|m)?$/i);
+  if (!match) return null;
+
+  const [, letter, accidental, modeText = 'major'] = match;
+  let pitchClass = PITCH_CLASSES[letter.toUpperCase()];
+  if (accidental === '♯' || accidental === '#') pitchClass += 1;
+  if (accidental === '♭' || accidental === 'b') pitchClass -= 1;
+
+  const mode = /^m(in(or)?)?$/i.test(modeText) ? 'minor' : 'major';
+  return keyFromPitchClass((pitchClass + 12) % 12, mode);
+}
+
+// '8A' → { number: 8, letter: 'A', code: '8A' }
+function parseCamelot(value) {
+  if (value && typeof value === 'object' && value.code) value = value.code;
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(\d{1,2})\s*([AB])$/i);
+  if (!match) return null;
+
+  const number = Number(match[1]);
+  if (number < 1 || number > 12) return null;
+
+  const letter = match[2].toUpperCase();
+  return { number, letter, code: `${number}${letter}` };
+}
+
+// Camelot number walks the circle of fifths; 8B is C major, 8A is A minor
+function keyToCamelot(key) {
+  const majorPitchClass = key.mode === 'minor' ? (key.pitchClass + 3) % 12 : key.pitchClass;
+  const number = ((majorPitchClass * 7) % 12 + 7) % 12 + 1;
+  return parseCamelot(`${number}${key.mode === 'minor' ? 'A' : 'B'}`);
+}
+
+function camelotToKey(camelot) {
+  const majorPitchClass = (((camelot.number - 8 + 12) % 12) * 7) % 12;
+  return camelot.letter === 'A'
+    ? keyFromPitchClass((majorPitchClass + 9) % 12, 'minor')
+    : keyFromPitchClass(majorPitchClass, 'major');
+}
+
+// '3:21' or '1:02:03' → seconds
+function parseDuration(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const parts = value.trim().split(':').map(Number);
+  if (!parts.length || parts.some(p => !Number.isFinite(p))) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// 'March 3, 2021' or '2021-03-03' → '2021-03-03'
+function parseReleaseDate(value) {
+  if (typeof value !== 'string') return null;
+
+  const iso = value.trim().match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/);
+  if (iso) return iso[0];
+
+  const match = value.trim().match(/^([A-Za-z]+)\s+(\d{1,2}),?\s+(\d{4})$/);
+  if (!match) return null;
+
+  const month = MONTHS.indexOf(match[1].toLowerCase()) + 1;
+  if (!month) return null;
+  return `${match[3]}-${String(month).padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+// Fill in whichever half of key/Camelot is missing from the other
+function completeKey(rawKey, rawCamelot) {
+  let key = parseKey(rawKey);
+  let camelot = parseCamelot(rawCamelot);
+  if (key && !camelot) camelot = keyToCamelot(key);
+  if (camelot && !key) key = camelotToKey(camelot);
+  return { key, camelot };
+}
+
+function normalizeRecommendation(rec) {
+  return {
+    title:      rec.title || '',
+    artist:     rec.artist || '',
+    spotifyId:  rec.spotifyId,
+    ...completeKey(rec.key, rec.camelot),
+    bpm:        parseNumber(rec.bpm),
+    popularity: parseFeature(rec.popularity),
+    albumArt:   rec.albumArt || null
+  };
+}
+
+// Turn a merged provider result (raw strings) into a schema v1 analysis
+function normalizeAnalysis(merged) {
+  const { sources = {}, recommendations, ...rawFields } = merged;
+
+  const { key, camelot } = completeKey(rawFields.key, rawFields.camelot);
+
+  const analysis = {
+    schemaVersion: SCHEMA_VERSION,
+    title:       rawFields.title || null,
+    artist:      rawFields.artist || null,
+    album:       rawFields.album || null,
+    albumArt:    rawFields.albumArt || null,
+    bpm:         parseNumber(rawFields.bpm),
+    key,
+    camelot,
+    durationSec: parseDuration(rawFields.duration),
+    releaseDate: parseReleaseDate(rawFields.releaseDate),
+    explicit:    typeof rawFields.explicit === 'boolean'
+      ? rawFields.explicit
+      : /^(yes|true)$/i.test(String(rawFields.explicit || '')),
+    loudness:    parseNumber(rawFields.loudness)
+  };
+
+  FEATURE_FIELDS.forEach(field => {
+    analysis[field] = parseFeature(rawFields[field]);
+  });
+
+  analysis.recommendations = (recommendations || []).map(normalizeRecommendation);
+  analysis.sources = sources;
+  analysis.raw = rawFields;
+
+  return analysis;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  FEATURE_FIELDS,
+  normalizeAnalysis,
+  parseKey,
+  parseCamelot,
+  keyToCamelot,
+  camelotToKey
+};
@@ -0,0 +1,120 @@
+const {
+  SpotifyError,
+  SpotifyScopeError,
+  SpotifyTokenExpiredError,
+  SpotifyNotFoundError,
+  SpotifyRateLimitError
+} = require('./spotify-client');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('HTTP');
+
+// Every API error is answered with one envelope:
+//   { success: false, code, error, details?, requestId, ...extra }
+// `code` is stable and machine-readable, `error` is a message for people and
+// may change. Codes with their HTTP status (also listed in /api/openapi.json):
+const ERROR_CODES = {
+  VALIDATION_FAILED:    [400, 'The body, query or path failed validation; `details` lists each problem'],
+  INVALID_TRACK_ID:     [400, 'Not a Spotify track link, URI or ID'],
+  NOT_AUTHENTICATED:    [401, 'No Spotify login; start one at /login'],
+  SESSION_EXPIRED:      [401, 'The Spotify login expired or was revoked; log in again'],
+  ADMIN_TOKEN_REQUIRED: [401, 'Admin endpoints need `Authorization: Bearer <ADMIN_TOKEN>`'],
+  SCOPE_MISSING:        [403, 'The Spotify login lacks a permission this needs; log in again to grant it'],
+  PREMIUM_REQUIRED:     [403, 'Spotify only allows playback control for Premium accounts'],
+  NOT_FOUND:            [404, 'No such endpoint, job, history entry, scrape or other resource'],
+  TRACK_NOT_FOUND:      [404, 'Spotify has no track with that ID'],
+  NO_ACTIVE_DEVICE:     [404, 'Nothing is playing on any of the user\'s devices'],
+  PAYLOAD_TOO_LARGE:    [413, 'The request body is too large'],
+  ANALYSIS_INCOMPLETE:  [422, 'The analyses lack the key, BPM or tracks the operation needs'],
+  RATE_LIMITED:         [429, 'Spotify is rate-limiting the app; see Retry-After'],
+  INTERNAL_ERROR:       [500, 'Something went wrong on the server'],
+  ANALYSIS_FAILED:      [502, 'No analysis provider returned data for the track'],
+  SPOTIFY_ERROR:        [502, 'Spotify answered with an unexpected error'],
+  SCRAPE_BLOCKED:       [503, 'Tunebat is blocking the scraper, which is cooling down; see Retry-After'],
+  SPOTIFY_UNREACHABLE:  [503, 'Could not reach Spotify']
+};
+
+const PLAYER_REASONS = ['NO_ACTIVE_DEVICE', 'PREMIUM_REQUIRED'];
+
+// Thrown (or passed to next()) by routes and middleware; errorHandler answers it
+class ApiError extends Error {
+  constructor(code, message, extra = {}) {
+    super(message);
+    this.code = code;
+    this.status = ERROR_CODES[code][0];
+    this.extra = extra;
+  }
+}
+
+function sendError(res, code, message, extra = {}) {
+  res.status(ERROR_CODES[code][0]).json({
+    success:   false,
+    code,
+    error:     message,
+    ...extra,
+    requestId: res.req.id
+  });
+}
+
+// Error code for a failed Spotify call. Spotify's player reasons
+// (NO_ACTIVE_DEVICE, PREMIUM_REQUIRED) are kept as they are. Errors that
+// didn't come from talking to Spotify are INTERNAL_ERROR.
+function spotifyErrorCode(err) {
+  if (PLAYER_REASONS.includes(err.reason)) return err.reason;
+  if (err instanceof SpotifyScopeError) return 'SCOPE_MISSING';
+  if (err instanceof SpotifyTokenExpiredError) return 'SESSION_EXPIRED';
+  if (err instanceof SpotifyNotFoundError) return 'NOT_FOUND';
+  if (err instanceof SpotifyRateLimitError) return 'RATE_LIMITED';
+  if (err instanceof SpotifyError) return 'SPOTIFY_ERROR';
+  // node-fetch's network failures
+  if (err.name === 'FetchError' || err.name === 'AbortError') return 'SPOTIFY_UNREACHABLE';
+  return 'INTERNAL_ERROR';
+}
+
+// Answer for a failed Spotify call: its code, and Spotify's message unless
+// the failure was ours
+function sendSpotifyError(res, err) {
+  const code = spotifyErrorCode(err);
+  if (code === 'INTERNAL_ERROR') return sendError(res, code, 'Internal server error');
+  const extra = code === 'RATE_LIMITED' && err.retryAfter
+    ? { retryAfterSec: Math.ceil(err.retryAfter / 1000) }
+    : {};
+  if (extra.retryAfterSec) res.set('Retry-After', String(extra.retryAfterSec));
+  sendError(res, code, err.message, extra);
+}
+
+// Message for an error that reaches a client (job tracks, watcher events,
+// auto-add results): Spotify's own messages and ApiErrors as they are,
+// `fallback` for anything else, which may carry paths or library internals.
+// Log the error itself for the detail.
+function clientMessage(err, fallback) {
+  return err instanceof SpotifyError || err instanceof ApiError ? err.message : fallback;
+}
+
+// Last middleware: ApiErrors, body-parser failures and anything unexpected.
+// Unexpected errors are logged, never echoed back.
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err instanceof ApiError) return sendError(res, err.code, err.message, err.extra);
+  if (err.type === 'entity.parse.failed') return sendError(res, 'VALIDATION_FAILED', 'Request body is not valid JSON');
+  if (err.type === 'entity.too.large') return sendError(res, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+
+  logger.error('Unhandled error', { method: req.method, path: req.path, error: err });
+  sendError(res, 'INTERNAL_ERROR', 'Internal server error');
+}
+
+// For /api paths no route matched
+function apiNotFound(req, res) {
+  sendError(res, 'NOT_FOUND', `No endpoint ${req.method} ${req.baseUrl}${req.path}`);
+}
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  sendError,
+  spotifyErrorCode,
+  sendSpotifyError,
+  clientMessage,
+  errorHandler,
+  apiNotFound
+};
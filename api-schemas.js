@@ -0,0 +1,380 @@
+const { EXPORT_FORMATS } = require('./exporters');
+const { ENERGY_CURVES } = require('./sequencer');
+const { DEFAULT_BPM_TOLERANCE } = require('./harmonic');
+const { SOURCES } = require('./history');
+const { MAX_RULES, MAX_PLAYLIST_NAME } = require('./playlist-rules');
+const { REPEAT_STATES } = require('./player');
+const { MIN_LEAD_TIME_SEC, MAX_LEAD_TIME_SEC, MAX_NO_REPEAT } = require('./auto-dj');
+const { MAX_JOB_TRACKS } = require('./jobs');
+const overrides = require('./providers/manual-overrides');
+
+// The HTTP API's operations: what each route takes, checked by validate()
+// (validation.js) and published in /api/openapi.json (openapi.js).
+//   { summary, tag, description?, params?, query?, body?, errors? }
+// `params`, `query` and `body` are JSON Schemas; `errors` lists the codes
+// (see api-errors.js) the route answers with beyond validation and auth.
+
+// —————————————————————————————
+// Shared pieces
+// —————————————————————————————
+
+const trackId = {
+  type: 'string', format: 'spotify-id', 'x-error-code': 'INVALID_TRACK_ID',
+  description: 'Spotify track ID (22 characters)'
+};
+const trackRef = {
+  type: 'string', format: 'spotify-track', 'x-error-code': 'INVALID_TRACK_ID',
+  description: 'Spotify track link, URI or ID'
+};
+const trackIds = max => ({ type: 'array', items: trackId, minItems: 1, maxItems: max });
+const playlistName = { type: 'string', minLength: 1, maxLength: MAX_PLAYLIST_NAME };
+const bpmTolerance = {
+  type: 'number', minimum: 0, maximum: 50, default: DEFAULT_BPM_TOLERANCE,
+  description: 'Largest BPM difference between two tracks, in percent'
+};
+const deviceId = { type: 'string', minLength: 1, description: 'Spotify device ID; the active device when left out' };
+const idParam = description => ({
+  type: 'object', required: ['id'], properties: { id: { type: 'string', description } }
+});
+
+// Jobs belong to the browser session (`sid` cookie) that started them;
+// other sessions get NOT_FOUND
+const jobId = { type: 'string', description: 'Job ID, from the session that started the job' };
+const jobParams = { type: 'object', required: ['id'], properties: { id: jobId } };
+
+function body(properties, required = []) {
+  return { type: 'object', required, properties, additionalProperties: false };
+}
+
+function query(properties) {
+  return { type: 'object', properties };
+}
+
+// Filters shared by /api/history, /api/history/export and /api/stats
+const historyFilters = {
+  bpmMin:    { type: 'number' },
+  bpmMax:    { type: 'number' },
+  energyMin: { type: 'number' },
+  energyMax: { type: 'number' },
+  key:       { type: 'string', description: 'Comma-separated keys, e.g. "A Minor,C Major"' },
+  camelot:   { type: 'string', description: 'Comma-separated Camelot codes, e.g. "8A,9A"' },
+  artist:    { type: 'string', description: 'Substring of an artist name' },
+  source:    { type: 'string', enum: SOURCES },
+  from:      { type: 'string', description: 'Recorded on or after (YYYY-MM-DD or ISO 8601)' },
+  to:        { type: 'string', description: 'Recorded on or before; a date includes the whole day' }
+};
+
+// —————————————————————————————
+// Operations
+// —————————————————————————————
+
+const auth = {
+  login: {
+    tag: 'Auth', summary: 'Start a Spotify login (redirects to Spotify)'
+  },
+  callback: {
+    tag: 'Auth', summary: 'Spotify redirects here after login; sets the session cookies and redirects to /',
+    query: query({ code: { type: 'string' }, state: { type: 'string' }, error: { type: 'string' } })
+  },
+  refreshToken: {
+    tag: 'Auth', summary: 'Refresh the access token cookie from the refresh token cookie',
+    errors: ['NOT_AUTHENTICATED', 'SESSION_EXPIRED']
+  },
+  status: {
+    tag: 'Auth', summary: 'Whether the browser holds a Spotify login'
+  },
+  logout: {
+    tag: 'Auth', summary: 'Clear the session cookies'
+  }
+};
+
+const analysis = {
+  analyze: {
+    tag: 'Analysis',
+    summary: 'Analyze a track, or start a batch job for a playlist, album, artist or Liked Songs',
+    description: 'A track answers with the analysis; when no provider had data the error (ANALYSIS_FAILED or ' +
+      'SCRAPE_BLOCKED) also carries `spotify` and `providers`. Other sources answer 202 with the job. ' +
+      'mode "current" analyzes what is playing.',
+    body: body({
+      input: { type: 'string', format: 'spotify-source', 'x-error-code': 'INVALID_TRACK_ID' },
+      mode:  { type: 'string', enum: ['manual', 'current'], default: 'manual' },
+      force: { type: 'boolean', default: false, description: 'Scrape again even when cached' }
+    }),
+    errors: ['TRACK_NOT_FOUND', 'NOT_FOUND', 'ANALYSIS_FAILED', 'SCRAPE_BLOCKED', 'SPOTIFY_ERROR']
+  },
+  createJob: {
+    tag: 'Jobs', summary: 'Analyze a list of tracks, playlists, albums and artists in the background',
+    body: body({
+      tracks: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: MAX_JOB_TRACKS },
+      force:  { type: 'boolean', default: false }
+    }, ['tracks'])
+  },
+  getJob: {
+    tag: 'Jobs', summary: 'A job\'s progress and results', params: jobParams, errors: ['NOT_FOUND']
+  },
+  jobEvents: {
+    tag: 'Jobs', summary: 'Server-Sent Events for a job: a snapshot, then one event per change',
+    params: jobParams, errors: ['NOT_FOUND']
+  },
+  cancelJob: {
+    tag: 'Jobs', summary: 'Cancel a job\'s pending tracks', params: jobParams, errors: ['NOT_FOUND']
+  },
+  retryJob: {
+    tag: 'Jobs', summary: 'Run a job\'s failed tracks again', params: jobParams, errors: ['NOT_FOUND']
+  },
+  export: {
+    tag: 'Analysis', summary: 'Download the session\'s or a job\'s analyses',
+    query: query({
+      format: { type: 'string', enum: EXPORT_FORMATS, default: 'csv' },
+      source: { type: 'string', enum: ['session', 'job'], default: 'session' },
+      jobId:  { ...jobId, description: 'With source=job: the job\'s ID, from the session that started it' }
+    }),
+    errors: ['NOT_FOUND']
+  },
+  analysisSchema: {
+    tag: 'Analysis', summary: 'JSON Schema of the `analysis` object'
+  },
+  compatible: {
+    tag: 'Analysis', summary: 'Tracks from history and recommendations that mix well after this one',
+    params: { type: 'object', required: ['trackId'], properties: { trackId: trackRef } },
+    query: query({
+      bpmTolerance,
+      halfDouble: { type: 'boolean', default: true, description: 'Count half/double-time BPMs as matches' },
+      limit:      { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+    }),
+    errors: ['TRACK_NOT_FOUND', 'ANALYSIS_FAILED', 'ANALYSIS_INCOMPLETE', 'SCRAPE_BLOCKED']
+  }
+};
+
+const overrideParams = { type: 'object', required: ['trackId'], properties: { trackId } };
+
+const overrideRoutes = {
+  get: {
+    tag: 'Overrides', summary: 'A track\'s hand-entered corrections', params: overrideParams
+  },
+  set: {
+    tag: 'Overrides', summary: 'Correct analysis fields for a track; null clears one',
+    description: 'Corrections apply to every user\'s analyses, so this needs the admin token.',
+    params: overrideParams,
+    body: body(Object.fromEntries(Object.entries(overrides.fieldSchemas).map(([field, schema]) => [
+      field, { ...schema, type: [].concat(schema.type, 'null') }
+    ])))
+  },
+  clear: {
+    tag: 'Overrides', summary: 'Drop every correction for a track', params: overrideParams,
+    description: 'Needs the admin token, like setting corrections.'
+  }
+};
+
+const history = {
+  list: {
+    tag: 'History', summary: 'One page of the user\'s analyses, newest first',
+    query: query({
+      ...historyFilters,
+      limit:  { type: 'integer', minimum: 1, maximum: 100, default: 25 },
+      offset: { type: 'integer', minimum: 0, default: 0 }
+    })
+  },
+  export: {
+    tag: 'History', summary: 'Download every matching analysis',
+    query: query({ ...historyFilters, format: { type: 'string', enum: EXPORT_FORMATS, default: 'csv' } }),
+    errors: ['NOT_FOUND']
+  },
+  get: {
+    tag: 'History', summary: 'One history entry', params: idParam('History entry ID'), errors: ['NOT_FOUND']
+  },
+  clear: {
+    tag: 'History', summary: 'Delete the user\'s history'
+  },
+  stats: {
+    tag: 'History', summary: 'Listening insights over the matching history',
+    query: query({
+      ...historyFilters,
+      bpmBucket: { type: 'number', minimum: 1, maximum: 50, default: 5 },
+      interval:  { type: 'string', enum: ['day', 'week'], default: 'day' },
+      tzOffset:  { type: 'integer', minimum: -14 * 60, maximum: 14 * 60, default: 0, description: 'Minutes from UTC' }
+    })
+  }
+};
+
+const playlists = {
+  add: {
+    tag: 'Playlists', summary: 'Add a track to a playlist by name, creating the playlist if needed',
+    body: body({ playlistName, trackId }, ['playlistName', 'trackId']),
+    errors: ['SCOPE_MISSING', 'SPOTIFY_ERROR']
+  },
+  removeTracks: {
+    tag: 'Playlists', summary: 'Remove every occurrence of the tracks from a playlist',
+    body: body({
+      playlistId: { type: 'string', format: 'spotify-id' },
+      trackIds:   trackIds(MAX_JOB_TRACKS)
+    }, ['playlistId', 'trackIds']),
+    errors: ['SCOPE_MISSING', 'NOT_FOUND', 'SPOTIFY_ERROR']
+  },
+  getRules: {
+    tag: 'Rules', summary: 'The user\'s playlist sorting rules'
+  },
+  saveRules: {
+    tag: 'Rules', summary: 'Switch auto-add on or off and/or replace the rules',
+    description: 'Rule contents are checked by playlist-rules.js; a bad rule is a VALIDATION_FAILED.',
+    body: body({
+      enabled: { type: 'boolean' },
+      rules:   { type: 'array', items: { type: 'object' }, maxItems: MAX_RULES }
+    })
+  },
+  lastAutoAdd: {
+    tag: 'Rules', summary: 'Where the most recent auto-add put a track'
+  },
+  undoAutoAdd: {
+    tag: 'Rules', summary: 'Take the last auto-added track back out of its playlists', errors: ['NOT_FOUND']
+  },
+  dryRun: {
+    tag: 'Rules', summary: 'Which playlists a track would land in (nothing is added)',
+    body: body({
+      input: trackRef,
+      rules: { type: 'array', items: { type: 'object' }, maxItems: MAX_RULES }
+    }, ['input']),
+    errors: ['TRACK_NOT_FOUND', 'ANALYSIS_FAILED', 'SCRAPE_BLOCKED']
+  }
+};
+
+const sequencer = {
+  curves: {
+    tag: 'Sequencer', summary: 'The energy curves a set can follow'
+  },
+  build: {
+    tag: 'Sequencer', summary: 'Order a finished batch job\'s tracks into a DJ set',
+    body: body({
+      jobId,
+      curve:        { type: 'string', enum: Object.keys(ENERGY_CURVES), default: 'warmup-peak-cooldown' },
+      firstTrackId: { ...trackId, type: ['string', 'null'] },
+      lastTrackId:  { ...trackId, type: ['string', 'null'] },
+      bpmTolerance
+    }, ['jobId']),
+    errors: ['NOT_FOUND', 'ANALYSIS_INCOMPLETE']
+  },
+  save: {
+    tag: 'Sequencer', summary: 'Save a set as a new private playlist, in order',
+    description: 'A playlist of the same name is never reused; each save creates its own.',
+    body: body({ name: playlistName, trackIds: trackIds(MAX_JOB_TRACKS) }, ['name', 'trackIds']),
+    errors: ['SCOPE_MISSING', 'SPOTIFY_ERROR']
+  }
+};
+
+const playerErrors = ['NO_ACTIVE_DEVICE', 'PREMIUM_REQUIRED', 'SCOPE_MISSING', 'SPOTIFY_ERROR'];
+const command = (summary, properties = {}, required = []) => ({
+  tag: 'Player', summary, body: body({ ...properties, deviceId }, required), errors: playerErrors
+});
+
+const player = {
+  state: {
+    tag: 'Player', summary: 'Playback state, or null when nothing is active', errors: ['SCOPE_MISSING']
+  },
+  devices: {
+    tag: 'Player', summary: 'The user\'s Spotify devices', errors: ['SCOPE_MISSING']
+  },
+  transfer: {
+    tag: 'Player', summary: 'Move playback to another device',
+    body: body({ deviceId: { ...deviceId, description: 'Spotify device ID' }, play: { type: 'boolean' } }, ['deviceId']),
+    errors: playerErrors
+  },
+  // By PLAYER_COMMANDS name (player.js)
+  commands: {
+    play:     command('Resume playback, or play the given tracks', { trackIds: trackIds(100) }),
+    pause:    command('Pause playback'),
+    next:     command('Skip to the next track'),
+    previous: command('Go back to the previous track'),
+    seek:     command('Seek in the current track', { positionMs: { type: 'integer', minimum: 0 } }, ['positionMs']),
+    volume:   command('Set the volume', { volumePercent: { type: 'integer', minimum: 0, maximum: 100 } }, ['volumePercent']),
+    shuffle:  command('Turn shuffle on or off', { state: { type: 'boolean' } }, ['state']),
+    repeat:   command('Set the repeat mode', { state: { type: 'string', enum: REPEAT_STATES } }, ['state']),
+    queue:    command('Add a track to the queue', { trackId }, ['trackId'])
+  }
+};
+
+const watcher = {
+  get: {
+    tag: 'Watcher', summary: 'The user\'s now-playing watcher, or null'
+  },
+  start: {
+    tag: 'Watcher', summary: 'Start analyzing every track the user plays (or refresh a running watcher\'s tokens)'
+  },
+  stop: {
+    tag: 'Watcher', summary: 'Stop the watcher', errors: ['NOT_FOUND']
+  },
+  events: {
+    tag: 'Watcher', summary: 'Server-Sent Events: the watcher\'s state, then playback, track, analysis and autodj events'
+  }
+};
+
+const autoDj = {
+  get: {
+    tag: 'Auto-DJ', summary: 'Auto-DJ settings, state and whether the watcher runs'
+  },
+  save: {
+    tag: 'Auto-DJ', summary: 'Change some Auto-DJ settings',
+    body: body({
+      enabled:        { type: 'boolean' },
+      bpmTolerance:   { type: 'number', minimum: 0, maximum: 50 },
+      maxDrift:       { type: ['number', 'null'], minimum: 0, maximum: 100, description: 'Percent; null for no limit' },
+      allowKeyChange: { type: 'boolean' },
+      noRepeatWithin: { type: 'integer', minimum: 0, maximum: MAX_NO_REPEAT },
+      leadTimeSec:    { type: 'number', minimum: MIN_LEAD_TIME_SEC, maximum: MAX_LEAD_TIME_SEC }
+    })
+  }
+};
+
+const adminToken = { type: 'string', description: 'ADMIN_TOKEN, instead of the Authorization header' };
+
+const admin = {
+  scrapes: {
+    tag: 'Admin', summary: 'Scrape diagnostic bundles, newest first',
+    query: query({
+      status: { type: 'string', enum: ['failed', 'succeeded', 'all'], default: 'failed' },
+      limit:  { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+      token:  adminToken
+    })
+  },
+  scrape: {
+    tag: 'Admin', summary: 'One scrape\'s manifest: URL, timings and every attempt',
+    params: idParam('Scrape ID'), query: query({ token: adminToken }), errors: ['NOT_FOUND']
+  },
+  artifact: {
+    tag: 'Admin', summary: 'A screenshot, HTML snapshot or manifest from a scrape',
+    params: {
+      type: 'object', required: ['id', 'name'],
+      properties: { id: { type: 'string' }, name: { type: 'string', description: 'e.g. attempt-1.png' } }
+    },
+    query: query({ download: { type: 'string', description: 'Any value saves the file' }, token: adminToken }),
+    errors: ['NOT_FOUND']
+  }
+};
+
+const service = {
+  metrics: {
+    tag: 'Service', summary: 'Prometheus metrics'
+  },
+  health: {
+    tag: 'Service', summary: 'Service status: Spotify apps, browser pool and crawl scheduler'
+  },
+  openapi: {
+    tag: 'Service', summary: 'This document'
+  },
+  currentlyPlaying: {
+    tag: 'Player', summary: 'The track playing right now', errors: ['SCOPE_MISSING', 'SPOTIFY_ERROR']
+  }
+};
+
+module.exports = {
+  auth,
+  analysis,
+  overrides: overrideRoutes,
+  history,
+  playlists,
+  sequencer,
+  player,
+  watcher,
+  autoDj,
+  admin,
+  service
+};
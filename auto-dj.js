@@ -0,0 +1,210 @@
+const { createJsonStore } = require('./json-store');
+const { scoreTransition, DEFAULT_BPM_TOLERANCE } = require('./harmonic');
+const { clientMessage } = require('./api-errors');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('AutoDJ');
+
+// Auto-DJ: while a user's now-playing watcher runs, queue the best of the
+// current track's scraped Tunebat recommendations shortly before it ends.
+// Settings are stored per Spotify user ID:
+//   { enabled, bpmTolerance, maxDrift, allowKeyChange, noRepeatWithin, leadTimeSec }
+const store = createJsonStore('auto-dj.json', { label: 'Auto-DJ' });
+
+const DEFAULT_SETTINGS = {
+  enabled:        false,
+  bpmTolerance:   DEFAULT_BPM_TOLERANCE, // percent, from one track to the next
+  maxDrift:       null,                  // percent away from the tempo Auto-DJ started at; null = no limit
+  allowKeyChange: true,                  // false: only same-key recommendations
+  noRepeatWithin: 20,                    // tracks
+  leadTimeSec:    30                     // queue this long before the track ends
+};
+
+// The watcher polls every ~7–9 seconds, so a shorter lead time could miss the end
+const MIN_LEAD_TIME_SEC = 15;
+const MAX_LEAD_TIME_SEC = 120;
+const MAX_NO_REPEAT = 200;
+
+class AutoDjError extends Error {}
+
+// In-memory state per user: { anchorBpm, recent: [trackId], queuedAfter, lastDecision }
+const states = new Map();
+
+function getState(userId) {
+  if (!states.has(userId)) {
+    states.set(userId, { anchorBpm: null, recent: [], queuedAfter: null, lastDecision: null });
+  }
+  return states.get(userId);
+}
+
+// Forget the drift anchor and what was queued, e.g. when Auto-DJ is switched on
+function resetAutoDjState(userId) {
+  states.delete(userId);
+}
+
+function getAutoDjSettings(userId) {
+  return { ...DEFAULT_SETTINGS, ...store.get(userId) };
+}
+
+function numberSetting(value, name, min, max) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw new AutoDjError(`${name} must be a number from ${min} to ${max}`);
+  }
+  return value;
+}
+
+// Partial update; throws AutoDjError with a user-facing message for bad values
+function saveAutoDjSettings(userId, changes) {
+  const settings = getAutoDjSettings(userId);
+  const { enabled, bpmTolerance, maxDrift, allowKeyChange, noRepeatWithin, leadTimeSec } = changes;
+
+  if (bpmTolerance !== undefined) settings.bpmTolerance = numberSetting(bpmTolerance, 'bpmTolerance', 0, 50);
+  if (maxDrift !== undefined) {
+    settings.maxDrift = maxDrift === null ? null : numberSetting(maxDrift, 'maxDrift', 0, 100);
+  }
+  if (noRepeatWithin !== undefined) {
+    if (!Number.isInteger(noRepeatWithin)) throw new AutoDjError('noRepeatWithin must be a whole number of tracks');
+    settings.noRepeatWithin = numberSetting(noRepeatWithin, 'noRepeatWithin', 0, MAX_NO_REPEAT);
+  }
+  if (leadTimeSec !== undefined) {
+    settings.leadTimeSec = numberSetting(leadTimeSec, 'leadTimeSec', MIN_LEAD_TIME_SEC, MAX_LEAD_TIME_SEC);
+  }
+  if (allowKeyChange !== undefined) settings.allowKeyChange = !!allowKeyChange;
+
+  if (enabled !== undefined) {
+    if (enabled && !settings.enabled) resetAutoDjState(userId);
+    settings.enabled = !!enabled;
+  }
+
+  return store.set(userId, { ...settings, updatedAt: new Date().toISOString() });
+}
+
+// Remember a played (or queued) track for the no-repeat window. The longest
+// window is kept so raising noRepeatWithin takes effect right away.
+function notePlayed(userId, trackId) {
+  const state = getState(userId);
+  state.recent = [...state.recent.filter(id => id !== trackId), trackId].slice(-MAX_NO_REPEAT);
+}
+
+// Tracks inside the user's no-repeat window, oldest first
+function recentWindow(state, settings) {
+  return settings.noRepeatWithin ? state.recent.slice(-settings.noRepeatWithin) : [];
+}
+
+// Halve/double a BPM until it is within a factor of √2 of `anchor`, so a
+// half-time blend doesn't count as drifting 50%
+function foldTowards(bpm, anchor) {
+  while (bpm > anchor * Math.SQRT2) bpm /= 2;
+  while (bpm < anchor / Math.SQRT2) bpm *= 2;
+  return bpm;
+}
+
+// Best recommendation to follow `current` ({ spotifyId, camelot, bpm }), or
+// null. Candidates must mix harmonically within the tempo tolerance; ties go
+// to the more popular track. Returns { ...recommendation, score, move, tempo, reasons }.
+function pickNext(current, recommendations, settings, { recent = [], anchorBpm = null } = {}) {
+  const candidates = recommendations
+    .filter(rec => rec.spotifyId && rec.spotifyId !== current.spotifyId && !recent.includes(rec.spotifyId))
+    .map(rec => {
+      const transition = scoreTransition(current, rec, { tolerance: settings.bpmTolerance });
+      if (!transition) return null;
+      if (!settings.allowKeyChange && transition.move !== 'same') return null;
+      if (settings.maxDrift !== null && anchorBpm) {
+        const drift = Math.abs(foldTowards(rec.bpm, anchorBpm) - anchorBpm) / anchorBpm * 100;
+        if (drift > settings.maxDrift) return null;
+      }
+      return { ...rec, ...transition };
+    })
+    .filter(Boolean);
+
+  candidates.sort((a, b) => b.score - a.score || (b.popularity || 0) - (a.popularity || 0));
+  return candidates[0] || null;
+}
+
+// Called on every watcher poll. When `playback` is within the lead time of the
+// end of a track whose analysis (`result`) is in, pick and queue the next one
+// once per track; `queue(trackId)` does the queueing. `elapsedMs` is how long
+// ago playback was read. Resolves to a decision to report
+// ({ trackId, queued, reason, at }) or null when there was nothing to decide yet.
+async function maybeQueueNext(userId, { playback, elapsedMs = 0, result, queue }) {
+  const settings = getAutoDjSettings(userId);
+  if (!settings.enabled || !playback || !playback.isPlaying || !playback.track) return null;
+
+  const { track } = playback;
+  const state = getState(userId);
+  if (state.queuedAfter === track.id) return null;
+  if (track.durationMs - (playback.progressMs + elapsedMs) > settings.leadTimeSec * 1000) return null;
+  if (!result || !result.success || result.spotify.id !== track.id) return null;
+
+  // One decision per track, whatever it turns out to be
+  state.queuedAfter = track.id;
+  const decision = { trackId: track.id, queued: null, reason: null, at: new Date().toISOString() };
+  state.lastDecision = decision;
+
+  const { analysis } = result;
+  if (!analysis.camelot || analysis.bpm == null) {
+    decision.reason = 'Current track has no key or BPM to match against';
+    return decision;
+  }
+  if (!state.anchorBpm) state.anchorBpm = analysis.bpm;
+
+  const next = pickNext(
+    { spotifyId: track.id, camelot: analysis.camelot.code, bpm: analysis.bpm },
+    analysis.recommendations || [],
+    settings,
+    {
+      recent:    recentWindow(state, settings),
+      anchorBpm: state.anchorBpm
+    }
+  );
+  if (!next) {
+    decision.reason = (analysis.recommendations || []).length
+      ? 'No recommendation fits the key, tempo and repeat settings'
+      : 'Tunebat had no recommendations for this track';
+    return decision;
+  }
+
+  try {
+    await queue(next.spotifyId);
+  } catch (err) {
+    logger.warn('Queueing failed', { spotifyId: next.spotifyId, error: err });
+    decision.reason = `Could not queue "${next.title}": ${clientMessage(err, 'request failed')}`;
+    return decision;
+  }
+
+  notePlayed(userId, next.spotifyId);
+  decision.queued = {
+    spotifyId: next.spotifyId,
+    title:     next.title,
+    artist:    next.artist,
+    camelot:   next.camelot ? next.camelot.code : null,
+    bpm:       next.bpm,
+    score:     next.score,
+    reasons:   next.reasons
+  };
+  return decision;
+}
+
+function getAutoDjState(userId) {
+  const state = getState(userId);
+  return {
+    anchorBpm:    state.anchorBpm,
+    recent:       recentWindow(state, getAutoDjSettings(userId)),
+    lastDecision: state.lastDecision
+  };
+}
+
+module.exports = {
+  AutoDjError,
+  DEFAULT_SETTINGS,
+  MIN_LEAD_TIME_SEC,
+  MAX_LEAD_TIME_SEC,
+  MAX_NO_REPEAT,
+  getAutoDjSettings,
+  saveAutoDjSettings,
+  getAutoDjState,
+  resetAutoDjState,
+  notePlayed,
+  pickNext,
+  maybeQueueNext
+};
@@ -0,0 +1,177 @@
+const puppeteer = require('puppeteer');
+const { exec } = require("node:child_process")
+const { promisify } = require("node:util")
+const { createLogger } = require('./logger');
+
+const logger = createLogger('BrowserPool');
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--no-first-run',
+  '--no-zygote',
+  '--disable-gpu',
+  '--window-size=1920,1080',
+  '--disable-web-security',
+  '--disable-features=VizDisplayCompositor',
+  '--enable-javascript',
+  '--disable-blink-features=AutomationControlled'  // Hide automation
+];
+
+// Prefer the system Chromium (Replit/Nix); fall back to Puppeteer's bundled build
+async function findChromium() {
+  if (process.env.CHROMIUM_PATH) return process.env.CHROMIUM_PATH;
+  try {
+    const { stdout } = await promisify(exec)("which chromium");
+    return stdout.trim() || undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+// A single long-lived browser with a bounded set of reusable pages.
+// Callers borrow a page through withPage(); when every slot is busy they
+// wait in a FIFO queue. If the browser crashes it is relaunched lazily on
+// the next request.
+function createBrowserPool({ maxConcurrency = 2, setupPage } = {}) {
+  let browser = null;
+  let launching = null;
+  let activeCount = 0;
+  let restarts = 0;
+  let shuttingDown = false;
+
+  const idlePages = [];
+  const busyPages = new Set();
+  const waitQueue = [];
+
+  async function launch() {
+    const executablePath = await findChromium();
+    logger.info('Launching browser', { executablePath: executablePath || 'bundled' });
+
+    const instance = await puppeteer.launch({
+      headless: 'new',
+      executablePath,
+      args: LAUNCH_ARGS,
+      ignoreHTTPSErrors: true
+    });
+
+    instance.on('disconnected', () => {
+      if (browser !== instance) return;
+      browser = null;
+      idlePages.length = 0;
+      if (!shuttingDown) {
+        restarts++;
+        logger.error('Browser disconnected, will relaunch on next request');
+      }
+    });
+
+    return instance;
+  }
+
+  async function getBrowser() {
+    if (browser && browser.connected) return browser;
+    if (!launching) {
+      launching = launch()
+        .then(instance => { browser = instance; return instance; })
+        .finally(() => { launching = null; });
+    }
+    return launching;
+  }
+
+  async function checkoutPage() {
+    const current = await getBrowser();
+
+    while (idlePages.length) {
+      const page = idlePages.shift();
+      if (!page.isClosed() && page.browser() === current) return page;
+    }
+
+    const page = await current.newPage();
+    if (setupPage) await setupPage(page);
+    return page;
+  }
+
+  // Hand the slot straight to the next waiter so the queue stays FIFO
+  function releaseSlot() {
+    const next = waitQueue.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      activeCount--;
+    }
+  }
+
+  async function acquire() {
+    if (shuttingDown) throw new Error('Browser pool is shutting down');
+
+    if (activeCount >= maxConcurrency) {
+      await new Promise((resolve, reject) => waitQueue.push({ resolve, reject }));
+    } else {
+      activeCount++;
+    }
+
+    try {
+      const page = await checkoutPage();
+      busyPages.add(page);
+      return page;
+    } catch (err) {
+      releaseSlot();
+      throw err;
+    }
+  }
+
+  async function release(page) {
+    busyPages.delete(page);
+    try {
+      if (!shuttingDown && !page.isClosed() && page.browser() === browser) {
+        // Drop the previous document so idle pages don't hold on to memory
+        await page.goto('about:blank');
+        idlePages.push(page);
+      } else if (!page.isClosed()) {
+        await page.close();
+      }
+    } catch (err) {
+      logger.error('Discarding broken page', { error: err.message });
+      page.close().catch(() => {});
+    } finally {
+      releaseSlot();
+    }
+  }
+
+  async function withPage(fn) {
+    const page = await acquire();
+    try {
+      return await fn(page);
+    } finally {
+      await release(page);
+    }
+  }
+
+  function getStats() {
+    return {
+      browserConnected: !!(browser && browser.connected),
+      maxConcurrency,
+      busyPages:  busyPages.size,
+      idlePages:  idlePages.length,
+      queueDepth: waitQueue.length,
+      restarts
+    };
+  }
+
+  async function shutdown() {
+    shuttingDown = true;
+    waitQueue.splice(0).forEach(w => w.reject(new Error('Browser pool is shutting down')));
+
+    const current = browser || await launching?.catch(() => null);
+    if (current) {
+      logger.info('Closing browser');
+      await current.close().catch(err => logger.error('Error closing browser', { error: err.message }));
+    }
+  }
+
+  return { withPage, getStats, shutdown };
+}
+
+module.exports = { createBrowserPool };
@@ -0,0 +1,162 @@
+const { createLogger } = require('./logger');
+const { circuitTrips } = require('./metrics');
+
+const logger = createLogger('CrawlScheduler');
+
+const MAX_COOLDOWN = 60 * 60 * 1000;
+const BASE_BACKOFF = 4000;
+const MAX_BACKOFF  = 60 * 1000;
+// How long the half-open probe has to report back before another may go
+const PROBE_TIMEOUT = 60 * 1000;
+
+// Thrown when a host can't be crawled right now; `retryAfter` is in milliseconds
+class CrawlCooldownError extends Error {
+  constructor(message, { host, retryAfter, reason }) {
+    super(message);
+    this.host = host;
+    this.retryAfter = retryAfter;
+    this.reason = reason;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Shared gate for outbound scrapes, one state per host:
+// - Requests are spaced out to `requestsPerMinute`. Callers reserve the next
+//   free slot in turn, so the budget holds however many users are scraping.
+//   A caller whose slot is more than `maxWait` away is turned away instead.
+// - After `breakerThreshold` block pages in a row the circuit opens and every
+//   scrape of the host is refused for the cool-down. When it ends the circuit
+//   is half-open: one probe request is let through and the rest are refused
+//   until it reports back. A block reopens the circuit for twice as long (up
+//   to an hour), a success closes it. A probe that reports neither (timeout,
+//   network error) frees the way for the next one after PROBE_TIMEOUT.
+// - acquire() resolves to a ticket that callers hand back with the result.
+//   Results of requests let through before the circuit last opened are
+//   ignored, so a scrape still in flight at the trip can't close the circuit
+//   or reopen it.
+function createCrawlScheduler({
+  requestsPerMinute = 12,
+  breakerThreshold = 3,
+  cooldownMs = 5 * 60 * 1000,
+  maxWaitMs = 2 * 60 * 1000
+} = {}) {
+  const interval = 60 * 1000 / requestsPerMinute;
+  const hosts = new Map();
+
+  function getHost(host) {
+    if (!hosts.has(host)) {
+      hosts.set(host, {
+        nextSlot:    0,
+        blocks:      0, // consecutive block pages
+        trips:       0, // consecutive times the circuit opened
+        openUntil:   0,
+        probeUntil:  0, // half-open: a probe is in flight until then
+        generation:  0, // bumped each time the circuit opens
+        lastBlockAt: null
+      });
+    }
+    return hosts.get(host);
+  }
+
+  function cooldownError(host, state) {
+    const retryAfter = Math.max(state.openUntil, state.probeUntil) - Date.now();
+    return new CrawlCooldownError(
+      `Scraper cooling down after repeated block pages, retry after ${Math.ceil(retryAfter / 1000)} seconds`,
+      { host, retryAfter, reason: 'circuit-open' }
+    );
+  }
+
+  // Throws CrawlCooldownError while the host's circuit is open, or half-open
+  // with the probe still out
+  function checkOpen(host) {
+    const state = getHost(host);
+    const now = Date.now();
+    if (state.openUntil > now || state.probeUntil > now) throw cooldownError(host, state);
+  }
+
+  // Wait for the host's next request slot. Resolves to the ticket to pass to
+  // recordSuccess/recordBlock.
+  async function acquire(host) {
+    checkOpen(host);
+    const state = getHost(host);
+    const now = Date.now();
+    const slot = Math.max(now, state.nextSlot);
+    if (slot - now > maxWaitMs) {
+      const retryAfter = slot - now;
+      throw new CrawlCooldownError(
+        `Scraper request budget used up, retry after ${Math.ceil(retryAfter / 1000)} seconds`,
+        { host, retryAfter, reason: 'budget' }
+      );
+    }
+    state.nextSlot = slot + interval;
+    // Half-open: this request is the probe
+    if (state.trips) state.probeUntil = slot + PROBE_TIMEOUT;
+    if (slot > now) await sleep(slot - now);
+    // The circuit may have opened while we waited
+    if (state.openUntil > Date.now()) throw cooldownError(host, state);
+    return { generation: state.generation };
+  }
+
+  // A result from a request let through before the circuit last opened
+  function isStale(state, ticket) {
+    return ticket.generation !== state.generation;
+  }
+
+  function recordSuccess(host, ticket) {
+    const state = getHost(host);
+    if (isStale(state, ticket)) return;
+    if (state.trips) logger.info('Circuit closed', { host });
+    state.blocks = 0;
+    state.trips = 0;
+    state.probeUntil = 0;
+  }
+
+  // A block page (security check, Too Many Requests). Returns true when it
+  // opened the circuit.
+  function recordBlock(host, ticket) {
+    const state = getHost(host);
+    if (isStale(state, ticket)) return false;
+    state.blocks++;
+    state.lastBlockAt = new Date().toISOString();
+    if (state.blocks < breakerThreshold) return false;
+
+    const cooldown = Math.min(cooldownMs * 2 ** state.trips, MAX_COOLDOWN);
+    state.trips++;
+    state.generation++;
+    state.openUntil = Date.now() + cooldown;
+    state.probeUntil = 0;
+    // One block after the cool-down is enough to reopen
+    state.blocks = breakerThreshold - 1;
+    circuitTrips.inc({ host });
+    logger.warn('Circuit opened', { host, cooldownSec: Math.round(cooldown / 1000), trips: state.trips });
+    return true;
+  }
+
+  // Jittered exponential delay before retry `attempt` (1, 2, ...)
+  function backoff(attempt) {
+    const delay = Math.min(BASE_BACKOFF * 2 ** (attempt - 1), MAX_BACKOFF);
+    return delay / 2 + Math.random() * delay / 2;
+  }
+
+  function getStats() {
+    const now = Date.now();
+    return {
+      requestsPerMinute,
+      breakerThreshold,
+      hosts: Object.fromEntries([...hosts].map(([host, state]) => [host, {
+        circuit:       state.openUntil > now ? 'open' : state.trips ? 'half-open' : 'closed',
+        probing:       state.probeUntil > now,
+        retryAfterSec: Math.max(0, Math.ceil((Math.max(state.openUntil, state.probeUntil) - now) / 1000)),
+        blocks:        state.blocks,
+        trips:         state.trips,
+        lastBlockAt:   state.lastBlockAt,
+        queuedSec:     Math.max(0, Math.round((state.nextSlot - now) / 1000))
+      }]))
+    };
+  }
+
+  return { acquire, checkOpen, recordSuccess, recordBlock, backoff, getStats };
+}
+
+module.exports = { createCrawlScheduler, CrawlCooldownError };
@@ -0,0 +1,170 @@
+// Serialize analyzed tracks for spreadsheets and DJ software.
+// Every format takes records of the shape { spotify, analysis, analyzedAt }.
+const { SCHEMA_VERSION } = require('./analysis-schema');
+
+const FORMATS = {
+  csv:       { contentType: 'text/csv; charset=utf-8',        extension: 'csv',  render: toCsv },
+  json:      { contentType: 'application/json; charset=utf-8', extension: 'json', render: toJson },
+  m3u8:      { contentType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u8', render: toM3u8 },
+  rekordbox: { contentType: 'application/xml; charset=utf-8', extension: 'xml',  render: toRekordboxXml }
+};
+
+const CSV_COLUMNS = [
+  ['spotify_id',       r => r.spotify.id],
+  ['spotify_url',      r => spotifyUrl(r)],
+  ['title',            r => r.spotify.name],
+  ['artists',          r => r.spotify.artists.join(', ')],
+  ['album',            r => r.spotify.album],
+  ['bpm',              r => r.analysis.bpm],
+  ['key',              r => r.analysis.key && r.analysis.key.name],
+  ['camelot',          r => r.analysis.camelot && r.analysis.camelot.code],
+  ['energy',           r => r.analysis.energy],
+  ['danceability',     r => r.analysis.danceability],
+  ['happiness',        r => r.analysis.happiness],
+  ['acousticness',     r => r.analysis.acousticness],
+  ['instrumentalness', r => r.analysis.instrumentalness],
+  ['liveness',         r => r.analysis.liveness],
+  ['speechiness',      r => r.analysis.speechiness],
+  ['loudness',         r => r.analysis.loudness],
+  ['popularity',       r => r.analysis.popularity],
+  ['duration_sec',     r => r.analysis.durationSec],
+  ['release_date',     r => r.analysis.releaseDate],
+  ['explicit',         r => r.analysis.explicit],
+  ['analyzed_at',      r => r.analyzedAt]
+];
+
+function spotifyUrl(record) {
+  return (record.spotify.external_urls && record.spotify.external_urls.spotify) ||
+    `https://open.spotify.com/track/${record.spotify.id}`;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  records.forEach(record => {
+    lines.push(CSV_COLUMNS.map(([, get]) => csvCell(get(record))).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+function toJson(records, { name }) {
+  return JSON.stringify({
+    name,
+    exportedAt:    new Date().toISOString(),
+    schemaVersion: SCHEMA_VERSION,
+    count:         records.length,
+    tracks: records.map(record => ({
+      spotifyId:  record.spotify.id,
+      spotifyUrl: spotifyUrl(record),
+      spotify:    record.spotify,
+      analysis:   record.analysis,
+      analyzedAt: record.analyzedAt
+    }))
+  }, null, 2);
+}
+
+// Extended M3U: duration/title per entry plus the analysis as a comment line
+function toM3u8(records, { name }) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+
+  records.forEach(({ spotify, analysis }) => {
+    const duration = analysis.durationSec ? Math.round(analysis.durationSec) : -1;
+    lines.push(`#EXTINF:${duration},${spotify.artists.join(', ')} - ${spotify.name}`);
+    if (spotify.album) lines.push(`#EXTALB:${spotify.album}`);
+
+    const info = [
+      analysis.bpm != null && `BPM ${analysis.bpm}`,
+      analysis.key && `Key ${analysis.key.name}`,
+      analysis.camelot && `Camelot ${analysis.camelot.code}`,
+      analysis.energy != null && `Energy ${analysis.energy}`
+    ].filter(Boolean);
+    if (info.length) lines.push(`# ${info.join(' | ')}`);
+
+    lines.push(spotifyUrl({ spotify }));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+function xmlAttr(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Rekordbox "classic" tonality notation: F♯ Minor → F#m, D♭ Major → Db
+function rekordboxTonality(key) {
+  if (!key) return '';
+  const root = key.name.split(' ')[0].replace('♯', '#').replace('♭', 'b');
+  return key.mode === 'minor' ? `${root}m` : root;
+}
+
+function toRekordboxXml(records, { name }) {
+  const today = new Date().toISOString().slice(0, 10);
+
+  const tracks = records.map(({ spotify, analysis }, i) => {
+    const attrs = {
+      TrackID:    i + 1,
+      Name:       spotify.name,
+      Artist:     spotify.artists.join(', '),
+      Album:      spotify.album || '',
+      Kind:       'Spotify',
+      TotalTime:  analysis.durationSec ? Math.round(analysis.durationSec) : 0,
+      Year:       analysis.releaseDate ? analysis.releaseDate.slice(0, 4) : '',
+      AverageBpm: analysis.bpm != null ? analysis.bpm.toFixed(2) : '0.00',
+      Tonality:   rekordboxTonality(analysis.key),
+      DateAdded:  today,
+      Comments:   [
+        `spotify:track:${spotify.id}`,
+        analysis.camelot && analysis.camelot.code,
+        analysis.energy != null && `Energy ${analysis.energy}`
+      ].filter(Boolean).join(' | '),
+      Location:   spotifyUrl({ spotify })
+    };
+    const attrText = Object.entries(attrs).map(([k, v]) => `${k}="${xmlAttr(v)}"`).join(' ');
+    const tempo = analysis.bpm != null
+      ? `\n      <TEMPO Inizio="0.000" Bpm="${analysis.bpm.toFixed(2)}" Metro="4/4" Battito="1"/>\n    `
+      : '';
+    return `    <TRACK ${attrText}>${tempo}</TRACK>`;
+  });
+
+  const playlistEntries = records.map((_, i) => `        <TRACK Key="${i + 1}"/>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<DJ_PLAYLISTS Version="1.0.0">',
+    '  <PRODUCT Name="Song Data Analyzer" Version="1.0.0" Company=""/>',
+    `  <COLLECTION Entries="${records.length}">`,
+    ...tracks,
+    '  </COLLECTION>',
+    '  <PLAYLISTS>',
+    '    <NODE Type="0" Name="ROOT" Count="1">',
+    `      <NODE Name="${xmlAttr(name)}" Type="1" KeyType="0" Entries="${records.length}">`,
+    ...playlistEntries,
+    '      </NODE>',
+    '    </NODE>',
+    '  </PLAYLISTS>',
+    '</DJ_PLAYLISTS>',
+    ''
+  ].join('\n');
+}
+
+// Returns { contentType, extension, body } or null for an unknown format
+function exportTracks(format, records, { name = 'Song Data Analyzer Export' } = {}) {
+  const exporter = FORMATS[format];
+  if (!exporter) return null;
+  return {
+    contentType: exporter.contentType,
+    extension:   exporter.extension,
+    body:        exporter.render(records, { name })
+  };
+}
+
+module.exports = { exportTracks, EXPORT_FORMATS: Object.keys(FORMATS) };
@@ -0,0 +1,88 @@
+const fetch = require('@replit/node-fetch');
+
+// Browserless stand-in for browser-pool.js: pages load with a plain HTTP GET
+// and run no scripts, so it only suits static pages like the mock Tunebat
+// (see mock/). Selected with TUNEBAT_PAGE_SOURCE=fetch, which the e2e suite
+// uses so scrapes run without Chrome. Pages have no screenshot().
+function createFetchPage() {
+  let currentUrl = 'about:blank';
+  let html = '';
+
+  return {
+    url: () => currentUrl,
+    content: async () => html,
+
+    // Like Puppeteer, error statuses still load their page; only network
+    // failures and timeouts throw
+    async goto(url, { timeout = 30000 } = {}) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      try {
+        const res = await fetch(url, { signal: controller.signal });
+        currentUrl = res.url;
+        html = await res.text();
+        return res;
+      } catch (err) {
+        if (err.name !== 'AbortError') throw err;
+        const timedOut = new Error(`Navigation timeout of ${timeout} ms exceeded`);
+        timedOut.name = 'TimeoutError';
+        throw timedOut;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+}
+
+// Same withPage() contract as the browser pool: at most `maxConcurrency`
+// pages at once, waiters served in FIFO order
+function createFetchPagePool({ maxConcurrency = 2 } = {}) {
+  let activeCount = 0;
+  let shuttingDown = false;
+  const waitQueue = [];
+
+  function releaseSlot() {
+    const next = waitQueue.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      activeCount--;
+    }
+  }
+
+  async function withPage(fn) {
+    if (shuttingDown) throw new Error('Page pool is shutting down');
+
+    if (activeCount >= maxConcurrency) {
+      await new Promise((resolve, reject) => waitQueue.push({ resolve, reject }));
+    } else {
+      activeCount++;
+    }
+
+    try {
+      return await fn(createFetchPage());
+    } finally {
+      releaseSlot();
+    }
+  }
+
+  function getStats() {
+    return {
+      browserConnected: false,
+      maxConcurrency,
+      busyPages:  activeCount,
+      idlePages:  0,
+      queueDepth: waitQueue.length,
+      restarts:   0
+    };
+  }
+
+  async function shutdown() {
+    shuttingDown = true;
+    waitQueue.splice(0).forEach(w => w.reject(new Error('Page pool is shutting down')));
+  }
+
+  return { withPage, getStats, shutdown };
+}
+
+module.exports = { createFetchPagePool };
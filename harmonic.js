@@ -0,0 +1,159 @@
+const { parseCamelot } = require('./analysis-schema');
+
+// Harmonic mixing on the Camelot wheel. Each move is a neighbour of the
+// current code that mixes cleanly; `score` ranks how smooth it sounds.
+const MOVES = [
+  { move: 'same',         step: 0,  flip: false, score: 1.0,  reason: 'Same key' },
+  { move: 'up',           step: 1,  flip: false, score: 0.9,  reason: 'One step up the wheel' },
+  { move: 'down',         step: -1, flip: false, score: 0.9,  reason: 'One step down the wheel' },
+  { move: 'relative',     step: 0,  flip: true,  score: 0.85, reason: 'Relative major/minor' },
+  { move: 'energy-boost', step: 2,  flip: false, score: 0.7,  reason: 'Energy boost (+2)' }
+];
+
+const DEFAULT_BPM_TOLERANCE = Number(process.env.COMPAT_BPM_TOLERANCE) || 6; // percent
+
+// How much of the score comes from the key vs. the tempo
+const KEY_WEIGHT = 0.6;
+const BPM_WEIGHT = 0.4;
+// Half/double-time blends work, but are a little harder to pull off
+const TEMPO_RATIO_PENALTY = 0.9;
+
+function wheelNumber(number, step) {
+  return ((number - 1 + step + 12) % 12) + 1;
+}
+
+// Camelot codes that mix with `camelot`: [{ code, move, score, reason }]
+function compatibleKeys(camelot) {
+  const from = parseCamelot(camelot);
+  if (!from) return [];
+
+  return MOVES.map(m => {
+    const letter = m.flip ? (from.letter === 'A' ? 'B' : 'A') : from.letter;
+    return {
+      code:   `${wheelNumber(from.number, m.step)}${letter}`,
+      move:   m.move,
+      score:  m.score,
+      reason: m.reason
+    };
+  });
+}
+
+// Closest tempo match at 1x, 2x or 0.5x within `tolerance` percent, or null
+function bpmMatch(fromBpm, toBpm, { tolerance = DEFAULT_BPM_TOLERANCE, halfDouble = true } = {}) {
+  if (!fromBpm || !toBpm) return null;
+
+  const ratios = halfDouble ? [1, 2, 0.5] : [1];
+  let best = null;
+  ratios.forEach(ratio => {
+    const effective = toBpm * ratio;
+    const diffPct = ((effective - fromBpm) / fromBpm) * 100;
+    if (Math.abs(diffPct) > tolerance) return;
+    if (!best || Math.abs(diffPct) < Math.abs(best.diffPct)) {
+      best = { ratio, effectiveBpm: effective, diffPct };
+    }
+  });
+  return best;
+}
+
+function describeTempo(fromBpm, toBpm, match) {
+  const sign = match.diffPct >= 0 ? '+' : '';
+  const diff = `${sign}${match.diffPct.toFixed(1)}%`;
+  if (match.ratio === 1) return `${fromBpm} → ${toBpm} BPM (${diff})`;
+  const feel = match.ratio === 2 ? 'half-time' : 'double-time';
+  return `${fromBpm} → ${toBpm} BPM, mixed ${feel} (${diff})`;
+}
+
+// Score one transition from `from` to `to` ({ camelot, bpm } each).
+// Returns { score (0–100), move, reasons } or null when it doesn't mix.
+function scoreTransition(from, to, options = {}) {
+  const keyMove = compatibleKeys(from.camelot).find(k => k.code === (parseCamelot(to.camelot) || {}).code);
+  if (!keyMove) return null;
+
+  const tempo = bpmMatch(from.bpm, to.bpm, options);
+  if (!tempo) return null;
+
+  const tolerance = options.tolerance ?? DEFAULT_BPM_TOLERANCE;
+  let bpmScore = tolerance ? 1 - Math.abs(tempo.diffPct) / tolerance : 1;
+  if (tempo.ratio !== 1) bpmScore *= TEMPO_RATIO_PENALTY;
+
+  const score = Math.round((keyMove.score * KEY_WEIGHT + bpmScore * BPM_WEIGHT) * 100);
+  const fromCode = parseCamelot(from.camelot).code;
+  return {
+    score,
+    move:    keyMove.move,
+    tempo:   { ratio: tempo.ratio, diffPct: Math.round(tempo.diffPct * 10) / 10 },
+    reasons: [
+      `${keyMove.reason} (${fromCode} → ${keyMove.code})`,
+      describeTempo(from.bpm, to.bpm, tempo)
+    ]
+  };
+}
+
+// Steps around the wheel between two numbers, ignoring direction (0–6)
+function wheelDistance(a, b) {
+  const d = Math.abs(a - b) % 12;
+  return Math.min(d, 12 - d);
+}
+
+// Like scoreTransition, but always returns a rating: clashing keys and tempo
+// jumps just score low. Used to order sets where every track has to go somewhere.
+function rateTransition(from, to, options = {}) {
+  const strict = scoreTransition(from, to, options);
+  if (strict) return strict;
+
+  const fromKey = parseCamelot(from.camelot);
+  const toKey = parseCamelot(to.camelot);
+  if (!fromKey || !toKey || !from.bpm || !to.bpm) {
+    return { score: 50, move: 'unknown', tempo: null, reasons: ['Missing key or BPM'] };
+  }
+
+  const reasons = [];
+  const move = compatibleKeys(fromKey).find(k => k.code === toKey.code);
+  let keyScore;
+  if (move) {
+    keyScore = move.score;
+    reasons.push(`${move.reason} (${fromKey.code} → ${toKey.code})`);
+  } else {
+    const distance = wheelDistance(fromKey.number, toKey.number) + (fromKey.letter === toKey.letter ? 0 : 1);
+    keyScore = Math.max(0, 0.5 - distance * 0.08);
+    reasons.push(`Key clash (${fromKey.code} → ${toKey.code})`);
+  }
+
+  // Closest tempo at any ratio, scored against twice the tolerance
+  const tolerance = options.tolerance ?? DEFAULT_BPM_TOLERANCE;
+  const tempo = bpmMatch(from.bpm, to.bpm, { ...options, tolerance: Infinity });
+  const bpmScore = Math.max(0, 1 - Math.abs(tempo.diffPct) / (2 * tolerance || 1)) *
+    (tempo.ratio === 1 ? 1 : TEMPO_RATIO_PENALTY);
+  reasons.push(Math.abs(tempo.diffPct) <= tolerance
+    ? describeTempo(from.bpm, to.bpm, tempo)
+    : `Tempo jump: ${describeTempo(from.bpm, to.bpm, tempo)}`);
+
+  return {
+    score:   Math.round((keyScore * KEY_WEIGHT + bpmScore * BPM_WEIGHT) * 100),
+    move:    move ? move.move : 'clash',
+    tempo:   { ratio: tempo.ratio, diffPct: Math.round(tempo.diffPct * 10) / 10 },
+    reasons
+  };
+}
+
+// Rank candidates ({ spotifyId, camelot, bpm, ... }) by how well they follow
+// `source`; candidates that don't mix are dropped. Best first.
+function rankCompatible(source, candidates, options = {}) {
+  return candidates
+    .filter(c => c.spotifyId !== source.spotifyId)
+    .map(candidate => {
+      const transition = scoreTransition(source, candidate, options);
+      return transition && { ...candidate, ...transition };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  DEFAULT_BPM_TOLERANCE,
+  compatibleKeys,
+  bpmMatch,
+  scoreTransition,
+  rateTransition,
+  rankCompatible
+};
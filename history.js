@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const { parseKey, parseCamelot } = require('./analysis-schema');
+
+// Every analysis a Spotify user ran, newest last, keyed by user ID:
+//   [{ id, source, recordedAt, spotify, analysis, analyzedAt }]
+// `source` says how the analysis started: manual, current, auto-update or batch.
+const store = createJsonStore('history.json', { label: 'History' });
+
+const SOURCES = ['manual', 'current', 'auto-update', 'batch'];
+const MAX_ENTRIES_PER_USER = 1000;
+const MAX_PAGE_SIZE = 100;
+
+class HistoryQueryError extends Error {}
+
+function recordHistory(userId, result, source) {
+  if (!userId || !result.success) return null;
+
+  const entry = {
+    id:         crypto.randomUUID(),
+    source:     SOURCES.includes(source) ? source : 'manual',
+    recordedAt: new Date().toISOString(),
+    spotify:    result.spotify,
+    analysis:   result.analysis,
+    analyzedAt: result.analyzedAt
+  };
+  const entries = [...(store.get(userId) || []), entry].slice(-MAX_ENTRIES_PER_USER);
+  store.set(userId, entries);
+  return entry;
+}
+
+function getHistoryEntry(userId, id) {
+  return (store.get(userId) || []).find(e => e.id === id) || null;
+}
+
+// Most recent entry per track, newest first
+function latestPerTrack(userId) {
+  const seen = new Set();
+  return (store.get(userId) || []).slice().reverse().filter(e => {
+    if (seen.has(e.spotify.id)) return false;
+    seen.add(e.spotify.id);
+    return true;
+  });
+}
+
+function numberParam(query, name) {
+  if (query[name] === undefined || query[name] === '') return null;
+  const value = Number(query[name]);
+  if (!Number.isFinite(value)) throw new HistoryQueryError(`${name} must be a number`);
+  return value;
+}
+
+// Date-only `to` values include the whole day
+function dateParam(query, name, endOfDay) {
+  const raw = query[name];
+  if (raw === undefined || raw === '') return null;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(raw);
+  const time = Date.parse(dateOnly && endOfDay ? `${raw}T23:59:59.999Z` : raw);
+  if (Number.isNaN(time)) throw new HistoryQueryError(`${name} must be a date (YYYY-MM-DD or ISO 8601)`);
+  return time;
+}
+
+function listParam(query, name, parse, label) {
+  if (!query[name]) return null;
+  return String(query[name]).split(',').map(value => {
+    const parsed = parse(value.trim());
+    if (!parsed) throw new HistoryQueryError(`Unknown ${label} "${value.trim()}"`);
+    return parsed;
+  });
+}
+
+// Turn query-string filters into a predicate. Supported: bpmMin, bpmMax,
+// key, camelot (comma-separated lists), energyMin, energyMax, artist
+// (substring), source, from, to. Throws HistoryQueryError for bad values.
+function parseHistoryFilters(query) {
+  const filters = {
+    bpmMin:    numberParam(query, 'bpmMin'),
+    bpmMax:    numberParam(query, 'bpmMax'),
+    energyMin: numberParam(query, 'energyMin'),
+    energyMax: numberParam(query, 'energyMax'),
+    keys:      listParam(query, 'key', parseKey, 'key'),
+    camelots:  listParam(query, 'camelot', parseCamelot, 'Camelot code'),
+    artist:    query.artist ? String(query.artist).trim().toLowerCase() : null,
+    source:    query.source || null,
+    from:      dateParam(query, 'from', false),
+    to:        dateParam(query, 'to', true)
+  };
+  if (filters.source && !SOURCES.includes(filters.source)) {
+    throw new HistoryQueryError(`source must be one of: ${SOURCES.join(', ')}`);
+  }
+
+  const between = (value, min, max) =>
+    (min === null || (value != null && value >= min)) && (max === null || (value != null && value <= max));
+
+  return entry => {
+    const a = entry.analysis;
+    const recorded = Date.parse(entry.recordedAt);
+    if (!between(a.bpm, filters.bpmMin, filters.bpmMax)) return false;
+    if (!between(a.energy, filters.energyMin, filters.energyMax)) return false;
+    if (filters.keys && !(a.key && filters.keys.some(k => k.name === a.key.name))) return false;
+    if (filters.camelots && !(a.camelot && filters.camelots.some(c => c.code === a.camelot.code))) return false;
+    if (filters.artist && !entry.spotify.artists.some(name => name.toLowerCase().includes(filters.artist))) return false;
+    if (filters.source && entry.source !== filters.source) return false;
+    if (filters.from !== null && recorded < filters.from) return false;
+    if (filters.to !== null && recorded > filters.to) return false;
+    return true;
+  };
+}
+
+// Every entry matching the query's filters, newest first
+function filterHistory(userId, query = {}) {
+  return (store.get(userId) || []).filter(parseHistoryFilters(query)).reverse();
+}
+
+// One page of filterHistory: { total, offset, limit, entries }
+function queryHistory(userId, query = {}) {
+  const limit = query.limit === undefined ? 25 : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new HistoryQueryError(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new HistoryQueryError('offset must be a non-negative integer');
+  }
+
+  const matches = filterHistory(userId, query);
+  return { total: matches.length, offset, limit, entries: matches.slice(offset, offset + limit) };
+}
+
+function clearHistory(userId) {
+  store.delete(userId);
+}
+
+module.exports = {
+  SOURCES,
+  HistoryQueryError,
+  recordHistory,
+  getHistoryEntry,
+  latestPerTrack,
+  parseHistoryFilters,
+  filterHistory,
+  queryHistory,
+  clearHistory
+};
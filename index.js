@@ -2,150 +2,129 @@ require('dotenv').config();
 const express = require('express');
 const path = require('path');
 const crypto = require('crypto');
-const fetch = require('@replit/node-fetch');
 const querystring = require('querystring');
 const cookieParser = require('cookie-parser');
-const { scrapeTunebatData } = require('./scraper-new');
+const { getScraperPoolStats, getCrawlStats, shutdownScraper } = require('./scraper-new');
+const { analyzeWithProviders, overrides } = require('./providers');
+const { createJobManager, MAX_JOB_TRACKS } = require('./jobs');
+const { parseSpotifySource, extractSpotifyTrackId, expandSource } = require('./spotify-sources');
+const { sessionMiddleware, recordAnalysis, getSessionAnalyses } = require('./sessions');
+const { exportTracks } = require('./exporters');
+const {
+  refreshAccessToken,
+  createLoginUrl,
+  consumeLoginState,
+  exchangeCode,
+  setAuthCookies,
+  clearAuthCookies,
+  createTokenSession,
+  requireSpotifyAuth
+} = require('./spotify-auth');
+const { isConfigured, getCredentialStats } = require('./spotify-credentials');
+const { createNowPlayingManager } = require('./now-playing');
+const { compatibleKeys, rankCompatible } = require('./harmonic');
+const { ENERGY_CURVES, sequenceSet } = require('./sequencer');
+const { RuleError, evaluateRules, normalizeRules, getRuleSet, saveRuleSet } = require('./playlist-rules');
+const { createPlaylist, getOrCreatePlaylist, addTracksToPlaylist, removeTracksFromPlaylist } = require('./playlists');
+const {
+  HistoryQueryError,
+  recordHistory,
+  getHistoryEntry,
+  latestPerTrack,
+  filterHistory,
+  queryHistory,
+  clearHistory
+} = require('./history');
+const { computeStats } = require('./stats');
+const { listScrapes, getScrape, getArtifactPath } = require('./scrape-diagnostics');
+const { createLogger, requestContext } = require('./logger');
+const { renderMetrics, httpRequests, analyzeRequests, analyzeDuration, playlistAdditions } = require('./metrics');
+const {
+  PLAYER_COMMANDS,
+  PlayerInputError,
+  runPlayerCommand,
+  getPlaybackState,
+  getDevices,
+  transferPlayback
+} = require('./player');
+const {
+  AutoDjError,
+  getAutoDjSettings,
+  saveAutoDjSettings,
+  getAutoDjState,
+  notePlayed,
+  maybeQueueNext
+} = require('./auto-dj');
+const {
+  sendError,
+  spotifyErrorCode,
+  sendSpotifyError,
+  clientMessage,
+  errorHandler,
+  apiNotFound
+} = require('./api-errors');
+const { validate } = require('./validation');
+const api = require('./api-schemas');
+const { buildOpenApiDocument } = require('./openapi');
 
 const app = express();
 const PORT = process.env.PORT || 8888;
 
-// Spotify configuration — replace with your own in prod
-const SPOTIFY_CLIENT_ID     = process.env.CLIENT_ID     || process.env.CLIENT_ID_1     || 'your_spotify_client_id';
-const SPOTIFY_CLIENT_SECRET = process.env.CLIENT_SECRET || process.env.CLIENT_SECRET_1 || 'your_spotify_client_secret';
-const SPOTIFY_REDIRECT_URI  = `https://27198efb-849b-445c-9d0f-3aacf3823c91-00-1gzfiiouj0qrm.picard.replit.dev:3000/callback`;
+// Spotify configuration — app credentials live in spotify-credentials.js.
+// Without SPOTIFY_REDIRECT_URI the callback URL is built from the request's
+// host, so it has to be registered for every host the app is reached on.
+const SPOTIFY_REDIRECT_URI = process.env.SPOTIFY_REDIRECT_URI || null;
+
+// Behind Replit's (or any) reverse proxy, req.protocol should be the public
+// one; TRUST_PROXY takes Express's trust proxy values ('true', hop count, subnets)
+const TRUST_PROXY = process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal';
+app.set('trust proxy', TRUST_PROXY === 'true' ? true : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
+const logger = createLogger('Server');
 
 // Middleware
+app.use(requestContext);
+// Count and log every API response; static files are left out
+app.use((req, res, next) => {
+  const start = Date.now();
+  res.on('finish', () => {
+    if (!req.route && res.statusCode === 404 && !req.path.startsWith('/api/')) return;
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    const level = res.statusCode >= 500 ? 'error' : 'debug';
+    createLogger('HTTP')[level]('Request finished', {
+      method: req.method, route, status: res.statusCode, durationMs: Date.now() - start
+    });
+  });
+  next();
+});
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 app.use(cookieParser());
+app.use(sessionMiddleware);
 
-// Logging utility
+// Structured log line for `component` (see logger.js)
 function log(component, action, details) {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] [${component}] ${action}:`, details);
+  createLogger(component).info(action, details);
 }
 
-// Simple in‑memory state store (swap for Redis/DB in prod)
-const stateStore = new Map();
-const userPlaylists = new Map();
-const playlistRefreshInterval = 5 * 60 * 1000; // 5 minutes
-
-async function getUserPlaylists(userId, accessToken, forceRefresh = false) {
-  log('Playlists', 'Fetching user playlists', { userId, forceRefresh });
-  
-  const userCache = userPlaylists.get(userId);
-  const now = Date.now();
+// Admin routes (scrape diagnostics, analysis overrides) need
+// `Authorization: Bearer <ADMIN_TOKEN>`, or ?token= so artifacts open in a
+// browser. Without ADMIN_TOKEN they are switched off.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
 
-  if (!forceRefresh && userCache && (now - userCache.timestamp < playlistRefreshInterval)) {
-    log('Playlists', 'Using cached playlists', { userId, playlistCount: userCache.playlists.length });
-    return userCache.playlists;
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return sendError(res, 'NOT_FOUND', 'Admin endpoints are disabled (set ADMIN_TOKEN)');
   }
-
-  const playlists = [];
-  let url = 'https://api.spotify.com/v1/me/playlists?limit=50';
-
-  while (url) {
-    const response = await fetch(url, {
-      headers: { 'Authorization': 'Bearer ' + accessToken }
-    });
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch playlists: ${data.error?.message || 'Unknown error'}`);
-    }
-
-    playlists.push(...data.items);
-    url = data.next;
+  const header = (req.get('authorization') || '').match(/^Bearer (.+)$/);
+  const given = Buffer.from((header && header[1]) || req.query.token || '');
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return sendError(res, 'ADMIN_TOKEN_REQUIRED', 'Admin token required');
   }
-
-  userPlaylists.set(userId, {
-    timestamp: now,
-    playlists: playlists
-  });
-
-  return playlists;
-}
-
-async function getOrCreatePlaylist(userId, accessToken, name) {
-  log('Playlists', 'Getting or creating playlist', { userId, name });
-  
-  if (name.length > 100) {
-    name = name.substring(0, 97) + '...';
-  }
-
-  try {
-    let playlists = await getUserPlaylists(userId, accessToken);
-    let existing = playlists.find(p => p.name === name);
-
-    if (!existing) {
-      log('Playlists', 'Playlist not found, refreshing cache', { name });
-      playlists = await getUserPlaylists(userId, accessToken, true);
-      existing = playlists.find(p => p.name === name);
-    }
-
-    if (existing) {
-      log('Playlists', 'Found existing playlist', { name, id: existing.id });
-      return existing.id;
-    }
-
-    log('Playlists', 'Creating new playlist', { name });
-    const create = await fetch(`https://api.spotify.com/v1/users/${userId}/playlists`, {
-      method: 'POST',
-      headers: {
-        'Authorization': 'Bearer ' + accessToken,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        name,
-        public: false,
-        description: 'Created by Song Data Analyzer'
-      })
-    });
-    
-    if (!create.ok) {
-      throw new Error('Failed to create playlist');
-    }
-
-    const newPlaylist = await create.json();
-    
-    // Update cache with new playlist
-    playlists.push(newPlaylist);
-    userPlaylists.set(userId, {
-      timestamp: Date.now(),
-      playlists: playlists
-    });
-
-    return newPlaylist.id;
-  } catch (err) {
-    log('Playlists', 'Error in getOrCreatePlaylist', { error: err.message, name });
-    throw err;
-  }
-}
-
-async function addTrackToPlaylist(playlistId, trackId, accessToken) {
-  log('Playlists', 'Adding track to playlist', { playlistId, trackId });
-  
-  const response = await fetch(`https://api.spotify.com/v1/playlists/${playlistId}/tracks`, {
-    method: 'POST',
-    headers: {
-      'Authorization': 'Bearer ' + accessToken,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      uris: [`spotify:track:${trackId}`]
-    })
-  });
-
-  if (!response.ok) {
-    const error = await response.json();
-    log('Playlists', 'Error adding track', { playlistId, trackId, error });
-    throw new Error(`Failed to add track: ${error.error?.message || 'Unknown error'}`);
-  }
-
-  log('Playlists', 'Successfully added track', { playlistId, trackId });
-  return response.json();
+  next();
 }
 
 // Serve UI
@@ -153,93 +132,39 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-function generateRandomString(length) {
-  return crypto.randomBytes(length).toString('hex').slice(0, length);
-}
-
-function extractSpotifyTrackId(input) {
-  input = input.trim();
-  if (/^[a-zA-Z0-9]{22}$/.test(input)) {
-    return input;
-  }
-  const patterns = [
-    /spotify:track:([a-zA-Z0-9]{22})/,
-    /open\.spotify\.com\/track\/([a-zA-Z0-9]{22})/,
-    /spotify\.com\/track\/([a-zA-Z0-9]{22})/
-  ];
-  for (const p of patterns) {
-    const m = input.match(p);
-    if (m) return m[1];
-  }
-  return null;
-}
-
 // —————————————————————————————
 // OAuth login & callback
 // —————————————————————————————
 
-app.get('/login', (req, res) => {
-  const state = generateRandomString(16);
-  stateStore.set(state, Date.now());
-  const scope = 'user-read-currently-playing user-read-playback-state playlist-modify-public playlist-modify-private playlist-read-private playlist-read-collaborative';
-  res.redirect('https://accounts.spotify.com/authorize?' + querystring.stringify({
-    response_type: 'code',
-    client_id:     SPOTIFY_CLIENT_ID,
-    scope,
-    redirect_uri:  SPOTIFY_REDIRECT_URI,
-    state
-  }));
+function redirectUriFor(req) {
+  return SPOTIFY_REDIRECT_URI || `${req.protocol}://${req.get('host')}/callback`;
+}
+
+app.get('/login', validate(api.auth.login), (req, res) => {
+  const scope = 'user-read-currently-playing user-read-playback-state user-modify-playback-state playlist-modify-public playlist-modify-private playlist-read-private playlist-read-collaborative user-library-read';
+  res.redirect(createLoginUrl({ redirectUri: redirectUriFor(req), scope }));
 });
 
-app.get('/callback', async (req, res) => {
+app.get('/callback', validate(api.auth.callback), async (req, res) => {
   const code  = req.query.code  || null;
-  const state = req.query.state || null;
+  const login = consumeLoginState(req.query.state);
 
-  if (!state || !stateStore.has(state)) {
+  if (!login) {
     return res.redirect('/#' + querystring.stringify({ error: 'state_mismatch' }));
   }
-  stateStore.delete(state);
-
-  const tokenOpts = {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Authorization':  'Basic ' +
-        Buffer.from(`${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`).toString('base64')
-    },
-    body: querystring.stringify({
-      code,
-      redirect_uri: SPOTIFY_REDIRECT_URI,
-      grant_type:   'authorization_code'
-    })
-  };
+  if (req.query.error) {
+    return res.redirect('/#' + querystring.stringify({ error: req.query.error }));
+  }
 
   try {
-    const tokenRes = await fetch('https://accounts.spotify.com/api/token', tokenOpts);
-    const data     = await tokenRes.json();
-
-    if (!tokenRes.ok) {
-      return res.redirect('/#' + querystring.stringify({ error: 'invalid_token' }));
-    }
-
-    // Secure, HTTP-only cookies
-    res.cookie('access_token', data.access_token, {
-      httpOnly: true,
-      secure:   process.env.NODE_ENV === 'production',
-      maxAge:   data.expires_in * 1000
-    });
-    if (data.refresh_token) {
-      res.cookie('refresh_token', data.refresh_token, {
-        httpOnly: true,
-        secure:   process.env.NODE_ENV === 'production',
-        maxAge:   30 * 24 * 60 * 60 * 1000  // 30 days
-      });
-    }
-
+    const data = await exchangeCode(code, login);
+    setAuthCookies(res, data, login.clientId);
     res.redirect('/#' + querystring.stringify({ success: 'logged_in' }));
   } catch (err) {
-    console.error('Error during token exchange:', err);
-    res.redirect('/#' + querystring.stringify({ error: 'server_error' }));
+    logger.error('Error during token exchange', err);
+    // requestToken sets .status when Spotify rejected the code
+    const error = err.status ? 'invalid_token' : 'server_error';
+    res.redirect('/#' + querystring.stringify({ error }));
   }
 });
 
@@ -247,40 +172,22 @@ app.get('/callback', async (req, res) => {
 // Token refresh
 // —————————————————————————————
 
-app.post('/api/refresh_token', async (req, res) => {
+app.post('/api/refresh_token', validate(api.auth.refreshToken), async (req, res) => {
   const refresh_token = req.cookies.refresh_token;
   if (!refresh_token) {
-    return res.status(401).json({ error: 'No refresh token available' });
-  }
-
-  const opts = {
-    method: 'POST',
-    headers: {
-      'Content-Type':  'application/x-www-form-urlencoded',
-      'Authorization': 'Basic ' +
-        Buffer.from(`${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`).toString('base64')
-    },
-    body: querystring.stringify({
-      grant_type:    'refresh_token',
-      refresh_token
-    })
-  };
+    return sendError(res, 'NOT_AUTHENTICATED', 'No refresh token available');
+  }
 
   try {
-    const r = await fetch('https://accounts.spotify.com/api/token', opts);
-    const d = await r.json();
-    if (!r.ok) {
-      return res.status(401).json({ error: 'Failed to refresh token' });
-    }
-    res.cookie('access_token', d.access_token, {
-      httpOnly: true,
-      secure:   process.env.NODE_ENV === 'production',
-      maxAge:   d.expires_in * 1000
-    });
+    setAuthCookies(res, await refreshAccessToken(refresh_token, req.cookies.spotify_app));
     res.json({ success: true });
   } catch (err) {
-    console.error('Error refreshing token:', err);
-    res.status(500).json({ error: 'Server error' });
+    logger.error('Error refreshing token', err);
+    // requestToken sets .status when Spotify rejected the refresh token
+    if (err.status) {
+      return sendError(res, 'SESSION_EXPIRED', 'Failed to refresh token');
+    }
+    sendError(res, 'SPOTIFY_UNREACHABLE', 'Could not reach Spotify to refresh the token');
   }
 });
 
@@ -288,13 +195,13 @@ app.post('/api/refresh_token', async (req, res) => {
 // Auth status & logout
 // —————————————————————————————
 
-app.get('/api/auth-status', (req, res) => {
-  res.json({ authenticated: !!req.cookies.access_token });
+app.get('/api/auth-status', validate(api.auth.status), (req, res) => {
+  // An expired access token is fine as long as we can refresh it
+  res.json({ authenticated: !!(req.cookies.access_token || req.cookies.refresh_token) });
 });
 
-app.post('/api/logout', (req, res) => {
-  res.clearCookie('access_token');
-  res.clearCookie('refresh_token');
+app.post('/api/logout', validate(api.auth.logout), (req, res) => {
+  clearAuthCookies(res);
   res.json({ success: true });
 });
 
@@ -302,13 +209,21 @@ app.post('/api/logout', (req, res) => {
 // Spotify API helpers
 // —————————————————————————————
 
-async function getSpotifyTrackInfo(trackId, accessToken) {
+// Middleware (after requireSpotifyAuth): attach the user's Spotify profile
+async function resolveSpotifyUser(req, res, next) {
   try {
-    const resp = await fetch(`https://api.spotify.com/v1/tracks/${trackId}`, {
-      headers: { 'Authorization': 'Bearer ' + accessToken }
-    });
-    if (!resp.ok) return null;
-    const json = await resp.json();
+    req.spotifyUser = await req.spotify.me();
+    next();
+  } catch (err) {
+    logger.error('Error resolving Spotify user', err);
+    sendSpotifyError(res, err);
+  }
+}
+
+// `spotify` is the Spotify client attached by requireSpotifyAuth
+async function getSpotifyTrackInfo(trackId, spotify) {
+  try {
+    const json = await spotify.get(`/tracks/${trackId}`);
     return {
       id:           json.id,
       name:         json.name,
@@ -321,42 +236,75 @@ async function getSpotifyTrackInfo(trackId, accessToken) {
       popularity:   json.popularity
     };
   } catch (err) {
-    console.error('Error fetching track info:', err);
+    logger.error('Error fetching track info', err);
     return null;
   }
 }
 
+// Run the provider chain for a track we already have Spotify info for.
+// The result shape is shared by /api/analyze and batch jobs.
+// `source` (manual, current, batch, auto-update, other) only labels metrics.
+async function analyzeSpotifyTrack(spotifyTrackInfo, { force = false, source = 'other' } = {}) {
+  const result = await analyzeDuration.time({ source }, () => analyzeWithProviders(spotifyTrackInfo, { force }));
+  const outcome = !result.success ? 'failure' : result.cached ? 'cached' : 'success';
+  analyzeRequests.inc({ source, outcome });
+  log('Analyze', 'Analysis finished', { trackId: spotifyTrackInfo.id, success: result.success, cached: result.cached });
+
+  return {
+    success:    result.success,
+    spotify:    spotifyTrackInfo,
+    analysis:   result.analysis,
+    providers:  result.providers,
+    cached:     result.cached,
+    analyzedAt: result.analyzedAt,
+    error:      result.error,
+    code:       result.success ? undefined : result.retryAfter ? 'SCRAPE_BLOCKED' : 'ANALYSIS_FAILED',
+    // Set when the analysis failed only because the scraper is cooling down
+    retryAfterSec: result.retryAfter ? Math.ceil(result.retryAfter / 1000) : undefined
+  };
+}
+
+// Answer with a failed analysis as an error (SCRAPE_BLOCKED comes with Retry-After)
+function sendAnalysisError(res, result, extra = {}) {
+  if (result.retryAfterSec) res.set('Retry-After', String(result.retryAfterSec));
+  sendError(res, result.code, result.error || 'Analysis failed', { retryAfterSec: result.retryAfterSec, ...extra });
+}
+
+// Add a finished analysis to the user's history. Never throws: losing a
+// history entry shouldn't fail the analysis.
+async function recordUserHistory(spotify, result, source) {
+  if (!result.success) return;
+  try {
+    const user = await spotify.me();
+    recordHistory(user.id, result, source);
+  } catch (err) {
+    log('History', 'Failed to record analysis', { trackId: result.spotify.id, error: err.message });
+  }
+}
+
 // —————————————————————————————
 // Main analyze endpoint
 // —————————————————————————————
 
-app.post('/api/analyze', async (req, res) => {
-  const { input, mode } = req.body;
-  const access_token    = req.cookies.access_token;
-
-  if (!access_token) {
-    return res.status(401).json({ success: false, error: 'Not authenticated with Spotify' });
-  }
+app.post('/api/analyze', requireSpotifyAuth, validate(api.analysis.analyze), async (req, res) => {
+  const { input, mode, force } = req.body;
 
   try {
     let trackId, spotifyTrackInfo;
 
     if (mode === 'current') {
-      const r = await fetch(
-        'https://api.spotify.com/v1/me/player/currently-playing',
-        { headers: { 'Authorization': 'Bearer ' + access_token } }
-      );
-
-      if (r.status === 204) {
-        return res.json({ success: false, error: 'No track currently playing' });
-      }
-      if (!r.ok) {
-        return res.status(r.status).json({ success: false, error: 'Failed to get currently playing track' });
+      let json;
+      try {
+        json = await req.spotify.get('/me/player/currently-playing');
+      } catch (err) {
+        return sendError(res, spotifyErrorCode(err), 'Failed to get currently playing track');
       }
 
-      const json = await r.json();
+      if (!json) {
+        return sendError(res, 'NOT_FOUND', 'No track currently playing');
+      }
       if (!json.item || json.item.type !== 'track') {
-        return res.json({ success: false, error: 'Currently playing item is not a track' });
+        return sendError(res, 'NOT_FOUND', 'Currently playing item is not a track');
       }
 
       trackId = json.item.id;
@@ -369,219 +317,865 @@ app.post('/api/analyze', async (req, res) => {
 
     } else {
       if (!input) {
-        return res.status(400).json({ success: false, error: 'Spotify link or track ID is required' });
+        return sendError(res, 'VALIDATION_FAILED', 'input is required unless mode is "current"');
       }
-      trackId = extractSpotifyTrackId(input);
-      if (!trackId) {
-        return res.status(400).json({ success: false, error: 'Invalid Spotify link or track ID' });
+      const source = parseSpotifySource(input);
+
+      // Playlists, albums, artists and Liked Songs are analyzed as a batch job
+      if (source.type !== 'track') {
+        const { items, label } = await expandInputs([input], req.spotify);
+        if (!items.some(item => item.trackId)) {
+          return sendError(res, 'NOT_FOUND', items[0]?.error || 'No tracks found');
+        }
+        const job = jobManager.createJob(items, { spotify: req.spotify, force, label, sessionId: req.sessionId });
+        log('Jobs', 'Created job from source', { jobId: job.id, source: source.type, tracks: items.length });
+        return res.status(202).json({ success: true, job: jobManager.serialize(job) });
       }
-      spotifyTrackInfo = await getSpotifyTrackInfo(trackId, access_token);
+
+      trackId = source.id;
+      spotifyTrackInfo = await getSpotifyTrackInfo(trackId, req.spotify);
       if (!spotifyTrackInfo) {
-        return res.status(404).json({ success: false, error: 'Track not found on Spotify' });
+        return sendError(res, 'TRACK_NOT_FOUND', 'Track not found on Spotify');
       }
     }
 
-    const artistName = spotifyTrackInfo.artists.join(' ');
-    const songName   = spotifyTrackInfo.name;
-    const tunebatRes = await scrapeTunebatData(artistName, songName, trackId);
-
-    res.json({
-      success:  tunebatRes.success,
-      spotify:  spotifyTrackInfo,
-      tunebat:  tunebatRes.data,
-      tunebatUrl: tunebatRes.url,
-      error:    tunebatRes.error
-    });
+    const source = mode === 'current' ? 'current' : 'manual';
+    const result = await analyzeSpotifyTrack(spotifyTrackInfo, { force, source });
+    // The envelope keeps the track and providers so the UI can show what was attempted
+    if (!result.success) {
+      return sendAnalysisError(res, result, { spotify: result.spotify, providers: result.providers });
+    }
+    recordAnalysis(req.sessionId, result);
+    await recordUserHistory(req.spotify, result, source);
+    result.autoAdd = await applyPlaylistRules(req.spotify, result);
+    res.json(result);
   } catch (err) {
-    console.error('Error in analyze endpoint:', err);
-    res.status(500).json({ success: false, error: 'Internal server error', details: err.message });
+    logger.error('Error in analyze endpoint', err);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error');
   }
 });
 
 // —————————————————————————————
-// Playlist management
+// Batch analysis jobs
 // —————————————————————————————
 
-async function getUserPlaylists(userId, accessToken, forceRefresh = false) {
-  log('Playlists', 'Fetching user playlists', { userId, forceRefresh });
-  
-  const userCache = userPlaylists.get(userId);
-  const now = Date.now();
-
-  if (!forceRefresh && userCache && (now - userCache.timestamp < playlistRefreshInterval)) {
-    log('Playlists', 'Using cached playlists', { userId, playlistCount: userCache.playlists.length });
-    return userCache.playlists;
+const jobManager = createJobManager({
+  concurrency: Number(process.env.JOB_CONCURRENCY) || 2,
+  analyzeTrack: async (track, job) => {
+    const spotifyTrackInfo = track.spotify || await getSpotifyTrackInfo(track.trackId, job.spotify);
+    if (!spotifyTrackInfo) {
+      return { success: false, error: 'Track not found on Spotify' };
+    }
+    const result = await analyzeSpotifyTrack(spotifyTrackInfo, { force: job.force, source: 'batch' });
+    recordAnalysis(job.sessionId, result);
+    await recordUserHistory(job.spotify, result, 'batch');
+    result.autoAdd = await applyPlaylistRules(job.spotify, result);
+    return result;
   }
+});
 
-  const playlists = [];
-  let url = 'https://api.spotify.com/v1/me/playlists?limit=50';
+// Turn pasted inputs into job items, expanding playlists, albums, artists and
+// Liked Songs into their tracks (capped at MAX_JOB_TRACKS)
+async function expandInputs(inputs, spotify) {
+  const items = [];
+  const labels = [];
 
-  while (url) {
-    const response = await fetch(url, {
-      headers: { 'Authorization': 'Bearer ' + accessToken }
-    });
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch playlists: ${data.error?.message || 'Unknown error'}`);
+  for (const input of inputs) {
+    if (items.length >= MAX_JOB_TRACKS) break;
+
+    const source = parseSpotifySource(input);
+    if (!source) {
+      items.push({ input, error: 'Invalid Spotify link or track ID' });
+      continue;
+    }
+    if (source.type === 'track') {
+      items.push({ input, trackId: source.id });
+      continue;
+    }
+
+    try {
+      const expanded = await expandSource(source, spotify, { limit: MAX_JOB_TRACKS - items.length });
+      log('Jobs', 'Expanded source', { type: source.type, name: expanded.name, tracks: expanded.tracks.length, truncated: expanded.truncated });
+      expanded.tracks.forEach(t => items.push({ input, trackId: t.id, spotify: t }));
+      labels.push(expanded.truncated ? `${expanded.name} (first ${expanded.tracks.length})` : expanded.name);
+    } catch (err) {
+      log('Jobs', 'Failed to expand source', { input, error: err.message });
+      const what = source.type === 'liked' ? 'Liked Songs' : source.type;
+      items.push({
+        input,
+        error: err.status === 404 ? `Spotify ${what} not found` : `Could not load ${what}: ${clientMessage(err, 'request failed')}`
+      });
     }
+  }
 
-    playlists.push(...data.items);
-    url = data.next;
+  return { items, label: labels.length ? labels.join(', ') : null };
+}
+
+app.post('/api/jobs', requireSpotifyAuth, validate(api.analysis.createJob), async (req, res) => {
+  const { tracks, force } = req.body;
+
+  try {
+    const { items, label } = await expandInputs(tracks, req.spotify);
+    const job = jobManager.createJob(items, { spotify: req.spotify, force, label, sessionId: req.sessionId });
+    log('Jobs', 'Created job', { jobId: job.id, tracks: items.length });
+    res.status(202).json(jobManager.serialize(job));
+  } catch (err) {
+    logger.error('Error creating job', err);
+    sendError(res, 'INTERNAL_ERROR', 'Failed to create job');
   }
+});
 
-  userPlaylists.set(userId, {
-    timestamp: now,
-    playlists: playlists
+// A job is only visible to the browser session that started it; other
+// sessions get NOT_FOUND, as if the ID didn't exist
+function getOwnJob(req, id) {
+  const job = jobManager.getJob(id);
+  return job && job.sessionId === req.sessionId ? job : null;
+}
+
+app.get('/api/jobs/:id', validate(api.analysis.getJob), (req, res) => {
+  const job = getOwnJob(req, req.params.id);
+  if (!job) {
+    return sendError(res, 'NOT_FOUND', 'Job not found');
+  }
+  res.json(jobManager.serialize(job));
+});
+
+// Server-Sent Events: a snapshot first, then one event per state change
+app.get('/api/jobs/:id/events', validate(api.analysis.jobEvents), (req, res) => {
+  const job = getOwnJob(req, req.params.id);
+  if (!job) {
+    return sendError(res, 'NOT_FOUND', 'Job not found');
+  }
+
+  res.set({
+    'Content-Type':  'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection':    'keep-alive'
   });
+  res.flushHeaders();
+
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('snapshot', jobManager.serialize(job));
+
+  const unsubscribe = jobManager.subscribe(job.id, event => send(event.type, event));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
 
-  return playlists;
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+app.post('/api/jobs/:id/cancel', validate(api.analysis.cancelJob), (req, res) => {
+  const job = getOwnJob(req, req.params.id) && jobManager.cancelJob(req.params.id);
+  if (!job) {
+    return sendError(res, 'NOT_FOUND', 'Job not found');
+  }
+  log('Jobs', 'Cancelled job', { jobId: job.id });
+  res.json(jobManager.serialize(job));
+});
+
+app.post('/api/jobs/:id/retry', requireSpotifyAuth, validate(api.analysis.retryJob), (req, res) => {
+  const job = getOwnJob(req, req.params.id) && jobManager.retryFailed(req.params.id, { spotify: req.spotify });
+  if (!job) {
+    return sendError(res, 'NOT_FOUND', 'Job not found');
+  }
+  log('Jobs', 'Retrying failed tracks', { jobId: job.id });
+  res.json(jobManager.serialize(job));
+});
+
+// —————————————————————————————
+// Export
+// —————————————————————————————
+
+// Analyzed track sets that can be exported, by ?source=
+const exportSources = {
+  session: req => ({
+    name:    'Session',
+    records: getSessionAnalyses(req.sessionId)
+  }),
+  job: req => {
+    const job = getOwnJob(req, req.query.jobId);
+    if (!job) return null;
+    return {
+      name:    job.label || 'Batch',
+      records: job.tracks
+        .filter(t => t.status === 'done')
+        .map(t => ({ spotify: t.spotify, analysis: t.analysis, analyzedAt: t.analyzedAt }))
+    };
+  }
+};
+
+app.get('/api/export', validate(api.analysis.export), (req, res) => {
+  const { format, source } = req.query;
+
+  const set = exportSources[source](req);
+  if (!set) {
+    return sendError(res, 'NOT_FOUND', 'Export source not found');
+  }
+  if (!set.records.length) {
+    return sendError(res, 'NOT_FOUND', 'No analyzed tracks to export');
+  }
+
+  const output = exportTracks(format, set.records, { name: `Song Data Analyzer — ${set.name}` });
+  const fileName = `song-data-${source}-${new Date().toISOString().slice(0, 10)}.${output.extension}`;
+  log('Export', 'Exporting tracks', { source, format, count: set.records.length });
+
+  // attachment() guesses a type from the extension, so set ours afterwards
+  res.attachment(fileName).type(output.contentType).send(output.body);
+});
+
+// Versioned JSON schema describing the `analysis` object
+app.get('/api/schema/analysis', validate(api.analysis.analysisSchema), (req, res) => {
+  res.type('application/schema+json').sendFile(path.join(__dirname, 'schemas', 'analysis-v1.schema.json'));
+});
+
+// —————————————————————————————
+// Analysis history
+// —————————————————————————————
+
+function sendHistoryError(res, err) {
+  if (err instanceof HistoryQueryError) {
+    return sendError(res, 'VALIDATION_FAILED', err.message);
+  }
+  logger.error('Error reading history', err);
+  sendError(res, 'INTERNAL_ERROR', 'Failed to read history');
 }
 
-async function getOrCreatePlaylist(userId, accessToken, name) {
-  log('Playlists', 'Getting or creating playlist', { userId, name });
-  
-  if (name.length > 100) {
-    name = name.substring(0, 97) + '...';
+// ?bpmMin&bpmMax&key&camelot&energyMin&energyMax&artist&source&from&to&limit&offset
+app.get('/api/history', requireSpotifyAuth, validate(api.history.list), resolveSpotifyUser, (req, res) => {
+  try {
+    res.json(queryHistory(req.spotifyUser.id, req.query));
+  } catch (err) {
+    sendHistoryError(res, err);
   }
+});
+
+// Same filters as /api/history, plus ?format=; exports every match
+app.get('/api/history/export', requireSpotifyAuth, validate(api.history.export), resolveSpotifyUser, (req, res) => {
+  const { format } = req.query;
 
+  let entries;
   try {
-    let playlists = await getUserPlaylists(userId, accessToken);
-    let existing = playlists.find(p => p.name === name);
+    entries = filterHistory(req.spotifyUser.id, req.query);
+  } catch (err) {
+    return sendHistoryError(res, err);
+  }
+  if (!entries.length) {
+    return sendError(res, 'NOT_FOUND', 'No analyzed tracks to export');
+  }
 
-    if (!existing) {
-      log('Playlists', 'Playlist not found, refreshing cache', { name });
-      playlists = await getUserPlaylists(userId, accessToken, true);
-      existing = playlists.find(p => p.name === name);
-    }
+  const output = exportTracks(format, entries, { name: 'Song Data Analyzer — History' });
+  const fileName = `song-data-history-${new Date().toISOString().slice(0, 10)}.${output.extension}`;
+  log('Export', 'Exporting history', { format, count: entries.length });
+  res.attachment(fileName).type(output.contentType).send(output.body);
+});
+
+app.get('/api/history/:id', requireSpotifyAuth, validate(api.history.get), resolveSpotifyUser, (req, res) => {
+  const entry = getHistoryEntry(req.spotifyUser.id, req.params.id);
+  if (!entry) {
+    return sendError(res, 'NOT_FOUND', 'History entry not found');
+  }
+  res.json(entry);
+});
+
+app.delete('/api/history', requireSpotifyAuth, validate(api.history.clear), resolveSpotifyUser, (req, res) => {
+  clearHistory(req.spotifyUser.id);
+  log('History', 'Cleared history', { userId: req.spotifyUser.id });
+  res.json({ success: true });
+});
+
+// Insights over the stored history (no new scrapes). Takes the history
+// filters (from, to, ...) plus ?bpmBucket=<bpm>&interval=day|week&tzOffset=<minutes>
+app.get('/api/stats', requireSpotifyAuth, validate(api.history.stats), resolveSpotifyUser, (req, res) => {
+  const { bpmBucket, interval, tzOffset } = req.query;
+
+  try {
+    const entries = filterHistory(req.spotifyUser.id, req.query);
+    res.json(computeStats(entries, { bpmBucket, interval, tzOffset }));
+  } catch (err) {
+    sendHistoryError(res, err);
+  }
+});
+
+// —————————————————————————————
+// Harmonic compatibility
+// —————————————————————————————
+
+function compatibilityCandidate(origin, spotifyId, fields) {
+  return {
+    origin,
+    spotifyId,
+    title:   fields.title,
+    artists: fields.artists,
+    camelot: fields.camelot ? fields.camelot.code : null,
+    bpm:     fields.bpm,
+    energy:  fields.energy ?? null
+  };
+}
+
+// Tracks worth mixing into next: what the user analyzed before, then the
+// source track's scraped recommendations (deduplicated by Spotify ID)
+function compatibilityCandidates(userId, analysis) {
+  const candidates = new Map();
+
+  latestPerTrack(userId).forEach(record => {
+    candidates.set(record.spotify.id, compatibilityCandidate('history', record.spotify.id, {
+      title:   record.spotify.name,
+      artists: record.spotify.artists,
+      ...record.analysis
+    }));
+  });
+
+  (analysis.recommendations || []).forEach(rec => {
+    if (!rec.spotifyId || candidates.has(rec.spotifyId)) return;
+    candidates.set(rec.spotifyId, compatibilityCandidate('recommendation', rec.spotifyId, {
+      title:   rec.title,
+      artists: rec.artist ? [rec.artist] : [],
+      camelot: rec.camelot,
+      bpm:     rec.bpm
+    }));
+  });
+
+  return [...candidates.values()];
+}
+
+// ?bpmTolerance=<percent>&halfDouble=false&limit=<n>
+app.get('/api/compatible/:trackId', requireSpotifyAuth, validate(api.analysis.compatible), resolveSpotifyUser, async (req, res) => {
+  const trackId = extractSpotifyTrackId(req.params.trackId);
+  const { bpmTolerance: tolerance, halfDouble, limit } = req.query;
+  const options = { tolerance, halfDouble };
 
-    if (existing) {
-      log('Playlists', 'Found existing playlist', { name, id: existing.id });
-      return existing.id;
+  try {
+    const spotifyTrackInfo = await getSpotifyTrackInfo(trackId, req.spotify);
+    if (!spotifyTrackInfo) {
+      return sendError(res, 'TRACK_NOT_FOUND', 'Track not found on Spotify');
     }
 
-    log('Playlists', 'Creating new playlist', { name });
-    const create = await fetch(`https://api.spotify.com/v1/users/${userId}/playlists`, {
-      method: 'POST',
-      headers: {
-        'Authorization': 'Bearer ' + accessToken,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        name,
-        public: false,
-        description: 'Created by Song Data Analyzer'
-      })
-    });
-    
-    if (!create.ok) {
-      throw new Error('Failed to create playlist');
+    // Usually a cache hit: the track was just analyzed
+    const result = await analyzeSpotifyTrack(spotifyTrackInfo);
+    if (!result.success) {
+      return sendAnalysisError(res, result);
+    }
+    const { analysis } = result;
+    if (!analysis.camelot || analysis.bpm == null) {
+      return sendError(res, 'ANALYSIS_INCOMPLETE', 'Track has no key or BPM to match against');
     }
 
-    const newPlaylist = await create.json();
-    
-    // Update cache with new playlist
-    playlists.push(newPlaylist);
-    userPlaylists.set(userId, {
-      timestamp: Date.now(),
-      playlists: playlists
+    const source = { spotifyId: trackId, camelot: analysis.camelot.code, bpm: analysis.bpm };
+    const matches = rankCompatible(source, compatibilityCandidates(req.spotifyUser.id, analysis), options);
+
+    res.json({
+      track:          { spotify: spotifyTrackInfo, camelot: analysis.camelot, key: analysis.key, bpm: analysis.bpm },
+      options,
+      compatibleKeys: compatibleKeys(analysis.camelot),
+      matches:        matches.slice(0, limit)
     });
+  } catch (err) {
+    logger.error('Error finding compatible tracks', err);
+    sendError(res, 'INTERNAL_ERROR', 'Failed to find compatible tracks');
+  }
+});
+
+// —————————————————————————————
+// Manual analysis overrides
+// —————————————————————————————
 
-    return newPlaylist.id;
+app.get('/api/overrides/:trackId', validate(api.overrides.get), (req, res) => {
+  res.json({ trackId: req.params.trackId, overrides: overrides.getOverride(req.params.trackId) || {} });
+});
+
+// Overrides change the analysis every user sees, so only an admin edits them
+app.put('/api/overrides/:trackId', requireAdmin, validate(api.overrides.set), (req, res) => {
+  try {
+    const updated = overrides.setOverride(req.params.trackId, req.body);
+    log('Overrides', 'Updated overrides', { trackId: req.params.trackId, overrides: updated });
+    res.json({ trackId: req.params.trackId, overrides: updated || {} });
   } catch (err) {
-    log('Playlists', 'Error in getOrCreatePlaylist', { error: err.message, name });
+    if (err instanceof overrides.OverrideError) {
+      return sendError(res, 'VALIDATION_FAILED', err.message);
+    }
     throw err;
   }
-}
+});
 
-async function addTrackToPlaylist(playlistId, trackId, accessToken) {
-  log('Playlists', 'Adding track to playlist', { playlistId, trackId });
-  
-  const response = await fetch(`https://api.spotify.com/v1/playlists/${playlistId}/tracks`, {
-    method: 'POST',
-    headers: {
-      'Authorization': 'Bearer ' + accessToken,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      uris: [`spotify:track:${trackId}`]
-    })
-  });
+app.delete('/api/overrides/:trackId', requireAdmin, validate(api.overrides.clear), (req, res) => {
+  overrides.clearOverride(req.params.trackId);
+  res.json({ success: true });
+});
+
+// —————————————————————————————
+// Playlist management
+// —————————————————————————————
+
+app.post('/api/add-to-playlist', requireSpotifyAuth, validate(api.playlists.add), resolveSpotifyUser, async (req, res) => {
+  const { playlistName, trackId } = req.body;
+
+  try {
+    const playlistId = await getOrCreatePlaylist(req.spotifyUser.id, req.spotify, playlistName.trim());
+    const { added } = await addTracksToPlaylist(playlistId, [trackId], req.spotify);
+    playlistAdditions.inc({ source: 'manual' }, added.length);
 
-  if (!response.ok) {
-    const error = await response.json();
-    log('Playlists', 'Error adding track', { playlistId, trackId, error });
-    throw new Error(`Failed to add track: ${error.error?.message || 'Unknown error'}`);
+    res.json({ success: true, playlistId, alreadyPresent: !added.length });
+  } catch (err) {
+    logger.error('Error adding to playlist', err);
+    sendSpotifyError(res, err);
+  }
+});
+
+// Body: { playlistId, trackIds } — removes every occurrence of each track
+app.delete('/api/playlist-tracks', requireSpotifyAuth, validate(api.playlists.removeTracks), async (req, res) => {
+  const { playlistId, trackIds } = req.body;
+
+  try {
+    const { removed } = await removeTracksFromPlaylist(playlistId, trackIds, req.spotify);
+    res.json({ success: true, playlistId, removed });
+  } catch (err) {
+    logger.error('Error removing from playlist', err);
+    sendSpotifyError(res, err);
+  }
+});
+
+// —————————————————————————————
+// Playlist sorting rules
+// —————————————————————————————
+
+// What the most recent auto-add put where, per user, so it can be undone:
+// userId → { trackId, additions: [{ playlistId, playlist }], at }
+const lastAutoAdds = new Map();
+
+// Add a freshly analyzed track to every playlist the user's rules pick.
+// Resolves to { added, skipped, failed } (skipped: already in the playlist),
+// or null when auto-add is off; never throws so a playlist problem can't fail
+// the analysis itself.
+async function applyPlaylistRules(spotify, result) {
+  if (!result.success) return null;
+
+  const trackId = result.spotify.id;
+  const added = [];
+  const skipped = [];
+  const failed = [];
+  const additions = [];
+  let userId = null;
+  try {
+    const user = await spotify.me();
+    userId = user.id;
+    const ruleSet = getRuleSet(user.id);
+    if (!ruleSet.enabled || !ruleSet.rules.length) return null;
+
+    // getOrCreatePlaylist locks per user and name, so jobs analyzing tracks in
+    // parallel still share one new bucket playlist
+    for (const { playlist } of evaluateRules(ruleSet.rules, result.analysis, result.spotify)) {
+      try {
+        const playlistId = await getOrCreatePlaylist(user.id, spotify, playlist);
+        const write = await addTracksToPlaylist(playlistId, [trackId], spotify);
+        playlistAdditions.inc({ source: 'auto-add' }, write.added.length);
+        if (write.added.length) {
+          added.push(playlist);
+          additions.push({ playlistId, playlist });
+        } else {
+          skipped.push(playlist);
+        }
+      } catch (err) {
+        logger.warn('Auto-add failed', { trackId, playlist, error: err });
+        failed.push({ playlist, error: clientMessage(err, 'Failed to add to playlist') });
+      }
+    }
+  } catch (err) {
+    logger.warn('Applying playlist rules failed', { trackId, error: err });
+    failed.push({ playlist: null, error: clientMessage(err, 'Failed to apply the playlist rules') });
   }
 
-  log('Playlists', 'Successfully added track', { playlistId, trackId });
-  return response.json();
+  if (additions.length) {
+    lastAutoAdds.set(userId, { trackId, additions, at: new Date().toISOString() });
+  }
+  if (added.length || skipped.length || failed.length) {
+    log('Rules', 'Applied playlist rules', { trackId, added, skipped, failed });
+  }
+  return { added, skipped, failed };
 }
 
-app.post('/api/add-to-playlist', async (req, res) => {
-  const { playlistName, trackId } = req.body;
-  const access_token = req.cookies.access_token;
+app.get('/api/rules', requireSpotifyAuth, validate(api.playlists.getRules), resolveSpotifyUser, (req, res) => {
+  res.json(getRuleSet(req.spotifyUser.id));
+});
 
-  if (!access_token) {
-    return res.status(401).json({ error: 'Not authenticated' });
+// Body: { enabled?, rules? } — rules replace the whole list
+app.put('/api/rules', requireSpotifyAuth, validate(api.playlists.saveRules), resolveSpotifyUser, (req, res) => {
+  try {
+    const ruleSet = saveRuleSet(req.spotifyUser.id, req.body);
+    log('Rules', 'Saved rules', { userId: req.spotifyUser.id, enabled: ruleSet.enabled, rules: ruleSet.rules.length });
+    res.json(ruleSet);
+  } catch (err) {
+    if (err instanceof RuleError) {
+      return sendError(res, 'VALIDATION_FAILED', err.message);
+    }
+    logger.error('Error saving rules', err);
+    sendError(res, 'INTERNAL_ERROR', 'Failed to save rules');
+  }
+});
+
+app.get('/api/auto-add/last', requireSpotifyAuth, validate(api.playlists.lastAutoAdd), resolveSpotifyUser, (req, res) => {
+  res.json({ last: lastAutoAdds.get(req.spotifyUser.id) || null });
+});
+
+// Take the track from the most recent auto-add back out of the playlists it was
+// added to. Playlists it was already in are left alone.
+app.post('/api/auto-add/undo', requireSpotifyAuth, validate(api.playlists.undoAutoAdd), resolveSpotifyUser, async (req, res) => {
+  const last = lastAutoAdds.get(req.spotifyUser.id);
+  if (!last) {
+    return sendError(res, 'NOT_FOUND', 'Nothing to undo');
+  }
+
+  const removed = [];
+  const failed = [];
+  for (const { playlistId, playlist } of last.additions) {
+    try {
+      await removeTracksFromPlaylist(playlistId, [last.trackId], req.spotify);
+      removed.push(playlist);
+    } catch (err) {
+      logger.warn('Undoing auto-add failed', { playlist, error: err });
+      failed.push({ playlist, error: clientMessage(err, 'Failed to remove from playlist') });
+    }
+  }
+
+  // Keep what couldn't be removed so the undo can be retried
+  const remaining = last.additions.filter(a => failed.some(f => f.playlist === a.playlist));
+  if (remaining.length) {
+    lastAutoAdds.set(req.spotifyUser.id, { ...last, additions: remaining });
+  } else {
+    lastAutoAdds.delete(req.spotifyUser.id);
   }
 
+  log('Rules', 'Undid auto-add', { trackId: last.trackId, removed, failed });
+  res.status(failed.length && !removed.length ? 502 : 200).json({ trackId: last.trackId, removed, failed });
+});
+
+// Which playlists would this track land in? Body: { input, rules? } — without
+// `rules` the saved ones are used. Nothing is added to any playlist.
+app.post('/api/rules/dry-run', requireSpotifyAuth, validate(api.playlists.dryRun), resolveSpotifyUser, async (req, res) => {
+  const { input, rules } = req.body;
+  const trackId = extractSpotifyTrackId(input);
+
   try {
-    const userResponse = await fetch('https://api.spotify.com/v1/me', {
-      headers: { 'Authorization': 'Bearer ' + access_token }
+    const candidateRules = rules === undefined ? getRuleSet(req.spotifyUser.id).rules : normalizeRules(rules);
+    const spotifyTrackInfo = await getSpotifyTrackInfo(trackId, req.spotify);
+    if (!spotifyTrackInfo) {
+      return sendError(res, 'TRACK_NOT_FOUND', 'Track not found on Spotify');
+    }
+
+    const result = await analyzeSpotifyTrack(spotifyTrackInfo);
+    if (!result.success) {
+      return sendAnalysisError(res, result);
+    }
+    res.json({
+      spotify:   result.spotify,
+      analysis:  result.analysis,
+      playlists: evaluateRules(candidateRules, result.analysis, result.spotify)
     });
+  } catch (err) {
+    if (err instanceof RuleError) {
+      return sendError(res, 'VALIDATION_FAILED', err.message);
+    }
+    logger.error('Error in rules dry run', err);
+    sendError(res, 'INTERNAL_ERROR', 'Dry run failed');
+  }
+});
+
+// —————————————————————————————
+// DJ set sequencer
+// —————————————————————————————
+
+app.get('/api/sequence/curves', validate(api.sequencer.curves), (req, res) => {
+  res.json(Object.entries(ENERGY_CURVES).map(([id, curve]) => ({ id, label: curve.label })));
+});
+
+// Order a finished batch job's tracks into a set.
+// Body: { jobId, curve, firstTrackId?, lastTrackId?, bpmTolerance? }
+app.post('/api/sequence', validate(api.sequencer.build), (req, res) => {
+  const { jobId, curve, firstTrackId, lastTrackId, bpmTolerance: tolerance } = req.body;
+
+  const job = getOwnJob(req, jobId);
+  if (!job) {
+    return sendError(res, 'NOT_FOUND', 'Job not found');
+  }
+
+  // A playlist can list the same song twice; a set plays it once
+  const seen = new Set();
+  const tracks = job.tracks
+    .filter(t => t.status === 'done' && !seen.has(t.trackId) && seen.add(t.trackId))
+    .map(t => ({
+      spotifyId: t.trackId,
+      title:     t.spotify.name,
+      artists:   t.spotify.artists,
+      camelot:   t.analysis.camelot ? t.analysis.camelot.code : null,
+      key:       t.analysis.key ? t.analysis.key.name : null,
+      bpm:       t.analysis.bpm,
+      energy:    t.analysis.energy
+    }));
+  if (tracks.length < 2) {
+    return sendError(res, 'ANALYSIS_INCOMPLETE', 'Need at least two analyzed tracks to build a set');
+  }
+
+  const set = sequenceSet(tracks, { curve, firstId: firstTrackId, lastId: lastTrackId, tolerance });
+  log('Sequencer', 'Built set', { jobId, curve, tracks: tracks.length, averageScore: set.averageScore });
+  res.json({ name: job.label, ...set });
+});
+
+// Save an ordered set as a new private playlist. Body: { name, trackIds }
+app.post('/api/sequence/save', requireSpotifyAuth, validate(api.sequencer.save), resolveSpotifyUser, async (req, res) => {
+  const { name, trackIds } = req.body;
+
+  try {
+    // Never an existing playlist: merging would skip tracks already there
+    // and keep their old order
+    const playlistId = await createPlaylist(req.spotifyUser.id, req.spotify, name.trim(), 'DJ set saved by Song Data Analyzer');
+    // Batches are appended in order, so the playlist keeps the set's sequence
+    const { added } = await addTracksToPlaylist(playlistId, trackIds, req.spotify);
+    playlistAdditions.inc({ source: 'sequence' }, added.length);
+    log('Sequencer', 'Saved set', { playlistId, added: added.length });
+    res.json({ success: true, playlistId, added: added.length });
+  } catch (err) {
+    logger.error('Error saving set', err);
+    sendSpotifyError(res, err);
+  }
+});
+
+// —————————————————————————————
+// Playback control
+// —————————————————————————————
 
-    if (!userResponse.ok) {
-      throw new Error('Failed to get user information');
+// Spotify's player reasons (NO_ACTIVE_DEVICE, PREMIUM_REQUIRED) come back as the code
+function sendPlayerError(res, err) {
+  if (err instanceof PlayerInputError) {
+    return sendError(res, 'VALIDATION_FAILED', err.message);
+  }
+  logger.error('Player error', { error: err.message });
+  sendSpotifyError(res, err);
+}
+
+app.get('/api/player', requireSpotifyAuth, validate(api.player.state), async (req, res) => {
+  try {
+    res.json({ playback: await getPlaybackState(req.spotify) });
+  } catch (err) {
+    sendPlayerError(res, err);
+  }
+});
+
+app.get('/api/player/devices', requireSpotifyAuth, validate(api.player.devices), async (req, res) => {
+  try {
+    res.json({ devices: await getDevices(req.spotify) });
+  } catch (err) {
+    sendPlayerError(res, err);
+  }
+});
+
+// Body: { deviceId, play? }
+app.put('/api/player/transfer', requireSpotifyAuth, validate(api.player.transfer), async (req, res) => {
+  const { deviceId, play } = req.body;
+  try {
+    await transferPlayback(req.spotify, deviceId, play);
+    res.json({ success: true });
+  } catch (err) {
+    sendPlayerError(res, err);
+  }
+});
+
+// POST /api/player/{play,pause,next,previous,seek,volume,shuffle,repeat,queue};
+// see player.js for each body. All accept an optional deviceId.
+Object.keys(PLAYER_COMMANDS).forEach(name => {
+  app.post(`/api/player/${name}`, requireSpotifyAuth, validate(api.player.commands[name]), async (req, res) => {
+    try {
+      await runPlayerCommand(req.spotify, name, req.body);
+      res.json({ success: true });
+    } catch (err) {
+      sendPlayerError(res, err);
     }
+  });
+});
 
-    const userData = await userResponse.json();
-    const playlistId = await getOrCreatePlaylist(userData.id, access_token, playlistName);
-    await addTrackToPlaylist(playlistId, trackId, access_token);
+// —————————————————————————————
+// Now-playing watcher
+// —————————————————————————————
+
+const nowPlaying = createNowPlayingManager({
+  onTrackChange: async (track, watcher) => {
+    log('Watcher', 'Track changed', { userId: watcher.userId, trackId: track.id });
+    notePlayed(watcher.userId, track.id);
+    const spotifyTrackInfo = {
+      id:      track.id,
+      name:    track.name,
+      artists: track.artists,
+      album:   track.album
+    };
+    const result = await analyzeSpotifyTrack(spotifyTrackInfo, { source: 'auto-update' });
+    recordAnalysis(watcher.sessionId, result);
+    await recordUserHistory(watcher.spotify, result, 'auto-update');
+    result.autoAdd = await applyPlaylistRules(watcher.spotify, result);
+    return result;
+  },
+
+  onPlayback: async (playback, watcher) => {
+    const decision = await maybeQueueNext(watcher.userId, {
+      playback,
+      elapsedMs: Date.now() - watcher.polledAt,
+      result:    watcher.lastResult,
+      queue:     trackId => runPlayerCommand(watcher.spotify, 'queue', { trackId })
+    });
+    if (!decision) return;
+    log('AutoDJ', decision.queued ? 'Queued next track' : 'Nothing queued', {
+      userId: watcher.userId,
+      after:  decision.trackId,
+      next:   decision.queued && decision.queued.spotifyId,
+      reason: decision.reason
+    });
+    nowPlaying.publish(watcher.userId, 'autodj', { decision });
+  }
+});
+
+app.get('/api/watcher', requireSpotifyAuth, validate(api.watcher.get), resolveSpotifyUser, (req, res) => {
+  const watcher = nowPlaying.getWatcher(req.spotifyUser.id);
+  res.json({ watcher: watcher && nowPlaying.serialize(watcher) });
+});
+
+// Starting a running watcher just hands it fresh tokens
+app.post('/api/watcher/start', requireSpotifyAuth, validate(api.watcher.start), resolveSpotifyUser, (req, res) => {
+  // The watcher outlives this request, so it gets its own token session
+  const spotify = createTokenSession({
+    accessToken:  req.spotify.accessToken,
+    refreshToken: req.spotify.refreshToken,
+    clientId:     req.spotify.clientId
+  });
+  const watcher = nowPlaying.start(req.spotifyUser.id, { spotify, sessionId: req.sessionId });
+  log('Watcher', 'Started', { userId: watcher.userId });
+  res.json({ watcher: nowPlaying.serialize(watcher) });
+});
+
+app.post('/api/watcher/stop', requireSpotifyAuth, validate(api.watcher.stop), resolveSpotifyUser, (req, res) => {
+  const watcher = nowPlaying.stop(req.spotifyUser.id);
+  if (!watcher) {
+    return sendError(res, 'NOT_FOUND', 'Watcher not running');
+  }
+  log('Watcher', 'Stopped', { userId: watcher.userId });
+  res.json({ watcher: nowPlaying.serialize(watcher) });
+});
+
+// Server-Sent Events: current state first, then playback/track/analysis/autodj events
+app.get('/api/watcher/events', requireSpotifyAuth, validate(api.watcher.events), resolveSpotifyUser, (req, res) => {
+  const userId = req.spotifyUser.id;
+
+  res.set({
+    'Content-Type':  'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection':    'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  const watcher = nowPlaying.getWatcher(userId);
+  send('snapshot', { watcher: watcher && nowPlaying.serialize(watcher) });
+
+  const unsubscribe = nowPlaying.subscribe(userId, event => send(event.type, event));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
 
-    res.json({ success: true, playlistId });
+// —————————————————————————————
+// Auto-DJ (runs inside the watcher; see auto-dj.js)
+// —————————————————————————————
+
+function autoDjStatus(userId) {
+  const watcher = nowPlaying.getWatcher(userId);
+  return {
+    settings:       getAutoDjSettings(userId),
+    state:          getAutoDjState(userId),
+    watcherRunning: !!watcher && watcher.status === 'running'
+  };
+}
+
+app.get('/api/auto-dj', requireSpotifyAuth, validate(api.autoDj.get), resolveSpotifyUser, (req, res) => {
+  res.json(autoDjStatus(req.spotifyUser.id));
+});
+
+// Body: any of { enabled, bpmTolerance, maxDrift, allowKeyChange, noRepeatWithin, leadTimeSec }
+app.put('/api/auto-dj', requireSpotifyAuth, validate(api.autoDj.save), resolveSpotifyUser, (req, res) => {
+  try {
+    const settings = saveAutoDjSettings(req.spotifyUser.id, req.body);
+    log('AutoDJ', 'Saved settings', { userId: req.spotifyUser.id, ...settings });
+    res.json(autoDjStatus(req.spotifyUser.id));
   } catch (err) {
-    console.error('Error adding to playlist:', err);
-    res.status(500).json({ error: err.message || 'Failed to add to playlist' });
+    if (err instanceof AutoDjError) {
+      return sendError(res, 'VALIDATION_FAILED', err.message);
+    }
+    logger.error('Error saving Auto-DJ settings', err);
+    sendError(res, 'INTERNAL_ERROR', 'Failed to save Auto-DJ settings');
+  }
+});
+
+// —————————————————————————————
+// Admin: scrape diagnostics
+// —————————————————————————————
+
+// ?status=failed|succeeded|all&limit=<n> — newest first
+app.get('/api/admin/scrapes', requireAdmin, validate(api.admin.scrapes), (req, res) => {
+  const { status, limit } = req.query;
+  res.json(listScrapes({ status, limit }));
+});
+
+// Full bundle manifest: URL, timings and every attempt with its artifacts
+app.get('/api/admin/scrapes/:id', requireAdmin, validate(api.admin.scrape), (req, res) => {
+  const scrape = getScrape(req.params.id);
+  if (!scrape) {
+    return sendError(res, 'NOT_FOUND', 'Scrape not found (it may have been pruned)');
+  }
+  res.json(scrape);
+});
+
+// One artifact (attempt-<n>.png / .html or bundle.json); ?download=1 saves it
+app.get('/api/admin/scrapes/:id/artifacts/:name', requireAdmin, validate(api.admin.artifact), (req, res) => {
+  const file = getArtifactPath(req.params.id, req.params.name);
+  if (!file) {
+    return sendError(res, 'NOT_FOUND', 'Artifact not found');
+  }
+  // Snapshots are Tunebat's HTML; never let them run as our origin
+  res.set('Content-Security-Policy', "default-src 'none'; img-src * data:; style-src * 'unsafe-inline'");
+  if (req.query.download) {
+    return res.download(file, `${req.params.id}-${req.params.name}`);
   }
+  res.sendFile(file);
 });
 
 // —————————————————————————————
-// Health check
+// Health check, metrics & API description
 // —————————————————————————————
 
-app.get('/api/health', (req, res) => {
+// Prometheus scrape target (see metrics.js)
+app.get('/metrics', validate(api.service.metrics), (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+app.get('/api/health', validate(api.service.health), (req, res) => {
   res.json({
     status:            'OK',
     timestamp:         new Date().toISOString(),
-    spotify_configured: !!(SPOTIFY_CLIENT_ID && SPOTIFY_CLIENT_SECRET)
+    spotify_configured: isConfigured(),
+    spotify_apps:      getCredentialStats(),
+    scraper:           getScraperPoolStats(),
+    crawl:             getCrawlStats()
   });
 });
 
 // Currently playing endpoint
-app.get('/api/currently-playing', async (req, res) => {
-  const access_token = req.cookies.access_token;
-  if (!access_token) {
-    return res.status(401).json({ error: 'Not authenticated' });
-  }
-
+app.get('/api/currently-playing', requireSpotifyAuth, validate(api.service.currentlyPlaying), async (req, res) => {
   try {
-    const response = await fetch('https://api.spotify.com/v1/me/player/currently-playing', {
-      headers: { 'Authorization': 'Bearer ' + access_token }
-    });
-
-    if (response.status === 204) {
+    const data = await req.spotify.get('/me/player/currently-playing');
+    if (!data) {
       return res.json({ playing: false, message: 'No track currently playing' });
     }
 
-    if (!response.ok) {
-      return res.status(response.status).json({ 
-        playing: false, 
-        error: 'Failed to get currently playing track' 
-      });
-    }
-
-    const data = await response.json();
     if (!data.item || data.item.type !== 'track') {
       return res.json({ 
         playing: false, 
@@ -599,20 +1193,52 @@ app.get('/api/currently-playing', async (req, res) => {
       }
     });
   } catch (err) {
-    console.error('Error getting currently playing:', err);
-    res.status(500).json({ 
-      playing: false, 
-      error: 'Server error' 
-    });
+    logger.error('Error getting currently playing', err);
+    sendSpotifyError(res, err);
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Visit http://localhost:${PORT}`);
-  console.log(`Spotify redirect URI: ${SPOTIFY_REDIRECT_URI}`);
+// OpenAPI document, built from the routes above on first request
+let openApiDocument = null;
+app.get('/api/openapi.json', validate(api.service.openapi), (req, res) => {
+  openApiDocument = openApiDocument || buildOpenApiDocument(app, new Map([
+    [requireSpotifyAuth, { scheme: 'spotifyLogin', errors: ['NOT_AUTHENTICATED', 'SESSION_EXPIRED', 'SPOTIFY_UNREACHABLE'] }],
+    [requireAdmin,       { scheme: 'adminToken', errors: ['ADMIN_TOKEN_REQUIRED', 'NOT_FOUND'] }]
+  ]));
+  res.json(openApiDocument);
+});
+
+// Errors keep the API's envelope: unknown /api paths, bad JSON, anything thrown
+app.use('/api', apiNotFound);
+app.use(errorHandler);
+
+const server = app.listen(PORT, () => {
+  logger.info('Server running', {
+    port:        PORT,
+    url:         `http://localhost:${PORT}`,
+    redirectUri: SPOTIFY_REDIRECT_URI || '<request host>/callback'
+  });
 
-  if (SPOTIFY_CLIENT_ID === 'your_spotify_client_id') {
-    console.warn('⚠️  WARNING: set SPOTIFY_CLIENT_ID & SPOTIFY_CLIENT_SECRET in your env!');
+  if (!isConfigured()) {
+    logger.warn('Spotify app credentials missing: set CLIENT_ID (and CLIENT_SECRET, or use PKCE) in your env');
   }
 });
+
+// —————————————————————————————
+// Graceful shutdown
+// —————————————————————————————
+
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log('Server', 'Shutting down', { signal });
+
+  server.close();
+  nowPlaying.stopAll();
+  await shutdownScraper();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT',  () => shutdown('SIGINT'));
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { createLogger, runWithContext } = require('./logger');
+const { clientMessage } = require('./api-errors');
+
+const logger = createLogger('Jobs');
+
+const JOB_RETENTION = 60 * 60 * 1000; // keep finished jobs for 1 hour
+const MAX_JOB_TRACKS = 500; // expanded playlists etc. are cut off here
+
+// Background batch analysis. A job is a list of tracks analyzed a few at a
+// time by `analyzeTrack(track, job)`; every state change is emitted as an
+// event so HTTP clients can follow progress over SSE.
+function createJobManager({ analyzeTrack, concurrency = 2 }) {
+  const jobs = new Map();
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  function summarize(job) {
+    const counts = { pending: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+    job.tracks.forEach(t => { counts[t.status]++; });
+    return {
+      id:         job.id,
+      label:      job.label,
+      status:     job.status,
+      createdAt:  job.createdAt,
+      finishedAt: job.finishedAt,
+      total:      job.tracks.length,
+      counts
+    };
+  }
+
+  function serialize(job) {
+    return { ...summarize(job), tracks: job.tracks };
+  }
+
+  function emit(job, type, payload) {
+    events.emit(job.id, { type, job: summarize(job), ...payload });
+  }
+
+  function finishIfIdle(job) {
+    if (job.tracks.some(t => t.status === 'pending' || t.status === 'running')) return;
+    if (job.status === 'running') job.status = 'completed';
+    job.finishedAt = new Date().toISOString();
+    emit(job, 'job');
+
+    clearTimeout(job.expiryTimer);
+    job.expiryTimer = setTimeout(() => jobs.delete(job.id), JOB_RETENTION);
+    job.expiryTimer.unref();
+  }
+
+  async function runTrack(job, track) {
+    track.status = 'running';
+    track.startedAt = new Date().toISOString();
+    emit(job, 'track', { track });
+
+    try {
+      const result = await analyzeTrack(track, job);
+      Object.assign(track, {
+        status:     result.success ? 'done' : 'failed',
+        spotify:    result.spotify,
+        analysis:   result.analysis,
+        cached:     result.cached,
+        analyzedAt: result.analyzedAt,
+        // Same as /api/analyze: per-provider outcome, with the scrape ID to look up
+        providers:  result.providers,
+        error:      result.success ? undefined : (result.error || 'Analysis failed')
+      });
+    } catch (err) {
+      logger.error('Track failed', { trackId: track.trackId, error: err });
+      track.status = 'failed';
+      track.error = clientMessage(err, 'Analysis failed');
+    }
+
+    track.finishedAt = new Date().toISOString();
+    emit(job, 'track', { track });
+  }
+
+  // Pull pending tracks until none are left (or the job is cancelled)
+  async function worker(job) {
+    let track;
+    while (job.status === 'running' && (track = job.tracks.find(t => t.status === 'pending'))) {
+      await runTrack(job, track);
+    }
+  }
+
+  function start(job) {
+    clearTimeout(job.expiryTimer);
+    job.status = 'running';
+    job.finishedAt = null;
+    emit(job, 'job');
+
+    // Log lines (scrapes, Spotify calls) from the job's work carry its ID
+    const workers = Array.from({ length: concurrency }, () => runWithContext({ jobId: job.id }, () => worker(job)));
+    Promise.all(workers).then(() => finishIfIdle(job));
+  }
+
+  // items: [{ input, trackId, spotify? }] — entries without a trackId fail immediately.
+  // `spotify` is the owner's token session, so long jobs survive token expiry.
+  function createJob(items, { spotify, force = false, label = null, ...context } = {}) {
+    const job = {
+      id:        crypto.randomUUID(),
+      label,
+      status:    'queued',
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      spotify,
+      force,
+      ...context,
+      tracks: items.map((item, index) => ({
+        index,
+        input:   item.input,
+        trackId: item.trackId || null,
+        spotify: item.spotify,
+        status:  item.trackId ? 'pending' : 'failed',
+        error:   item.trackId ? undefined : (item.error || 'Invalid Spotify link or track ID')
+      }))
+    };
+
+    jobs.set(job.id, job);
+    start(job);
+    return job;
+  }
+
+  function getJob(id) {
+    return jobs.get(id) || null;
+  }
+
+  function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    if (job.status === 'running' || job.status === 'queued') {
+      job.status = 'cancelled';
+      job.tracks
+        .filter(t => t.status === 'pending')
+        .forEach(t => { t.status = 'cancelled'; });
+      emit(job, 'job');
+      // Tracks already running finish on their own; the job closes after them
+      finishIfIdle(job);
+    }
+    return job;
+  }
+
+  // Re-queue failed (and cancelled) tracks that have a valid track ID
+  function retryFailed(id, { spotify } = {}) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    const retryable = job.tracks.filter(t => t.trackId && (t.status === 'failed' || t.status === 'cancelled'));
+    // Wait for in-flight tracks to settle so we never exceed the job's concurrency
+    if (!retryable.length || job.tracks.some(t => t.status === 'running')) return job;
+
+    retryable.forEach(t => {
+      t.status = 'pending';
+      t.error = undefined;
+    });
+    if (spotify) job.spotify = spotify;
+
+    start(job);
+    return job;
+  }
+
+  // Subscribe to a job's events; returns an unsubscribe function
+  function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+  }
+
+  return { createJob, getJob, cancelJob, retryFailed, subscribe, serialize };
+}
+
+module.exports = { createJobManager, MAX_JOB_TRACKS };
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const DATA_DIR    = process.env.DATA_DIR || path.join(__dirname, 'data');
+const FLUSH_DELAY = 1000;
+
+// Small persistent key/value store: a Map in memory, flushed to a JSON file.
+// Writes are debounced and written atomically (tmp file + rename).
+function createJsonStore(fileName, { label = 'Store' } = {}) {
+  const filePath = path.isAbsolute(fileName) ? fileName : path.join(DATA_DIR, fileName);
+  const entries = new Map();
+  const logger = createLogger(label);
+  let flushTimer = null;
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    Object.entries(raw).forEach(([key, value]) => entries.set(key, value));
+    logger.info('Loaded entries', { count: entries.size, file: filePath });
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.error('Failed to load, starting empty', { file: filePath, error: err.message });
+    }
+  }
+
+  function flush() {
+    flushTimer = null;
+    const tmpFile = filePath + '.tmp';
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tmpFile, JSON.stringify(Object.fromEntries(entries)));
+      fs.renameSync(tmpFile, filePath);
+    } catch (err) {
+      logger.error('Failed to write', { file: filePath, error: err.message });
+    }
+  }
+
+  // Coalesce bursts of writes into a single flush
+  function scheduleFlush() {
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, FLUSH_DELAY);
+    }
+  }
+
+  // Don't lose writes that are still waiting for the debounce on shutdown
+  process.on('exit', () => {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flush();
+    }
+  });
+
+  return {
+    get:    key => entries.get(key),
+    has:    key => entries.has(key),
+    keys:   () => entries.keys(),
+    values: () => entries.values(),
+    get size() { return entries.size; },
+
+    set(key, value) {
+      entries.set(key, value);
+      scheduleFlush();
+      return value;
+    },
+
+    delete(key) {
+      const existed = entries.delete(key);
+      if (existed) scheduleFlush();
+      return existed;
+    }
+  };
+}
+
+module.exports = { createJsonStore, DATA_DIR };
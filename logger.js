@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging: one JSON object per line,
+//   { time, level, component, msg, requestId?, ...context, ...details }
+// LOG_LEVEL (debug, info, warn, error; default info) drops quieter lines.
+// LOG_FORMAT=text prints the same fields as a readable line for local use.
+//
+// The context (e.g. { requestId }) lives in AsyncLocalStorage, so anything
+// an HTTP request sets off — scrapes, Spotify calls — logs with its ID
+// without having to pass it along.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const TEXT_FORMAT = process.env.LOG_FORMAT === 'text';
+
+const contextStorage = new AsyncLocalStorage();
+
+function getContext() {
+  return contextStorage.getStore() || {};
+}
+
+// Run `fn` with extra context fields (merged over the current ones)
+function runWithContext(fields, fn) {
+  return contextStorage.run({ ...getContext(), ...fields }, fn);
+}
+
+function newRequestId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function serializeError(err) {
+  const fields = { name: err.name, message: err.message };
+  if (err.status !== undefined) fields.status = err.status;
+  if (err.reason) fields.reason = err.reason;
+  if (LOG_LEVEL === 'debug' || !err.status) fields.stack = err.stack;
+  return fields;
+}
+
+function write(level, component, msg, details) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const time = new Date().toISOString();
+  const extra = { ...getContext(), ...(details instanceof Error ? { error: details } : details) };
+  const line = TEXT_FORMAT
+    ? `${time} ${level.toUpperCase().padEnd(5)} [${component}] ${msg}` +
+      (Object.keys(extra).length ? ' ' + JSON.stringify(extra, errorReplacer) : '')
+    : JSON.stringify({ time, level, component, msg, ...extra }, errorReplacer);
+
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+// Errors nested in details (e.g. { error: err }) would otherwise print as {}
+function errorReplacer(key, value) {
+  return value instanceof Error ? serializeError(value) : value;
+}
+
+// logger.info(msg, details?) etc.; `details` is an object of extra fields or an Error
+function createLogger(component) {
+  const logger = {};
+  Object.keys(LEVELS).forEach(level => {
+    logger[level] = (msg, details) => write(level, component, msg, details);
+  });
+  return logger;
+}
+
+// Express middleware: adopt the caller's X-Request-ID (or make one), echo it
+// back and run the rest of the request in its context
+function requestContext(req, res, next) {
+  const given = req.get('x-request-id');
+  req.id = given && /^[\w.:-]{1,64}$/.test(given) ? given : newRequestId();
+  res.set('X-Request-ID', req.id);
+  runWithContext({ requestId: req.id }, next);
+}
+
+module.exports = {
+  LOG_LEVEL,
+  createLogger,
+  getContext,
+  runWithContext,
+  newRequestId,
+  requestContext
+};
@@ -0,0 +1,124 @@
+// In-process metrics in the Prometheus text format, served at /metrics.
+// Counters and histograms take a fixed label list; each distinct label
+// combination becomes one series.
+const registry = [];
+
+function labelKey(names, labels) {
+  return JSON.stringify(names.map(name => String(labels[name] ?? '')));
+}
+
+function formatLabels(names, values, extra = {}) {
+  const pairs = names.map((name, i) => [name, values[i]]).concat(Object.entries(extra));
+  if (!pairs.length) return '';
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${pairs.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      series.forEach((value, key) => lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`));
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function histogram(name, help, labelNames = [], buckets = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60]) {
+  const series = new Map(); // key → { counts per bucket, sum, count }
+  const metric = {
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const entry = series.get(key);
+      buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+      entry.sum += value;
+      entry.count++;
+    },
+    // Resolves `fn` and records how long it took, in seconds
+    async time(labels, fn) {
+      const start = process.hrtime.bigint();
+      try {
+        return await fn();
+      } finally {
+        metric.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+      }
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      series.forEach((entry, key) => {
+        const values = JSON.parse(key);
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, { le: bound })} ${entry.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, { le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+      });
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// Read at scrape time, e.g. process memory
+function gauge(name, help, read) {
+  const metric = {
+    render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${read()}`]
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// —————————————————————————————
+// The app's metrics
+// —————————————————————————————
+
+const httpRequests = counter('http_requests_total',
+  'HTTP requests by method, route and status', ['method', 'route', 'status']);
+
+const analyzeRequests = counter('analyze_requests_total',
+  'Track analyses by source (manual, current, batch, auto-update) and outcome', ['source', 'outcome']);
+const analyzeDuration = histogram('analyze_duration_seconds',
+  'Time to analyze one track, including scraping', ['source'], [0.05, 0.5, 1, 5, 10, 20, 40, 60, 120]);
+
+const scrapes = counter('scrapes_total',
+  'Tunebat scrapes by outcome (success/failure/skipped) and the last attempt\'s reason', ['outcome', 'reason']);
+const retries = counter('retries_total',
+  'Retried operations by component (scraper, spotify) and reason', ['component', 'reason']);
+const circuitTrips = counter('scraper_circuit_trips_total',
+  'Times the scraper\'s circuit breaker opened for a host after repeated block pages', ['host']);
+const spotifyResponses = counter('spotify_api_responses_total',
+  'Spotify Web API responses by method and status code (0: network error)', ['method', 'status']);
+const playlistAdditions = counter('playlist_tracks_added_total',
+  'Tracks added to playlists, by what added them (manual, auto-add, sequence)', ['source']);
+
+gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+gauge('process_uptime_seconds', 'Seconds since the server started', () => Math.round(process.uptime()));
+
+function renderMetrics() {
+  return registry.flatMap(metric => metric.render()).join('\n') + '\n';
+}
+
+module.exports = {
+  counter,
+  histogram,
+  gauge,
+  renderMetrics,
+  httpRequests,
+  analyzeRequests,
+  analyzeDuration,
+  scrapes,
+  retries,
+  circuitTrips,
+  spotifyResponses,
+  playlistAdditions
+};
@@ -0,0 +1,66 @@
+// Tracks shared by the mock Spotify and Tunebat servers. IDs are 22
+// characters like real Spotify IDs so the app's validation accepts them.
+const ALBUMS = {
+  night: { id: 'MockAlbumNightDrive001', name: 'Night Drive', release_date: '2021-04-16' },
+  sun:   { id: 'MockAlbumSunrise000002', name: 'Sunrise Sessions', release_date: '2019-08-02' }
+};
+
+const ARTISTS = {
+  aurora: { id: 'MockArtistAurora000001', name: 'Aurora Lane' },
+  kilo:   { id: 'MockArtistKilo00000002', name: 'Kilo Echo' }
+};
+
+// `analysis` is what the Tunebat page shows for the track
+const TRACKS = [
+  {
+    id: 'MockTrackMidnight00001', name: 'Midnight Run', artist: 'aurora', album: 'night', durationMs: 214000,
+    analysis: { key: 'A Minor', camelot: '8A', bpm: 124, energy: 78, danceability: 71, happiness: 42,
+      acousticness: 3, instrumentalness: 12, liveness: 9, speechiness: 5, loudness: -6.2, popularity: 61 }
+  },
+  {
+    id: 'MockTrackNeonLights002', name: 'Neon Lights', artist: 'aurora', album: 'night', durationMs: 198000,
+    analysis: { key: 'E Minor', camelot: '9A', bpm: 126, energy: 84, danceability: 76, happiness: 55,
+      acousticness: 2, instrumentalness: 30, liveness: 12, speechiness: 4, loudness: -5.1, popularity: 58 }
+  },
+  {
+    id: 'MockTrackCityGlow00003', name: 'City Glow', artist: 'kilo', album: 'night', durationMs: 231000,
+    analysis: { key: 'C Major', camelot: '8B', bpm: 122, energy: 66, danceability: 80, happiness: 70,
+      acousticness: 8, instrumentalness: 2, liveness: 15, speechiness: 6, loudness: -7.4, popularity: 49 }
+  },
+  {
+    id: 'MockTrackFirstLight004', name: 'First Light', artist: 'kilo', album: 'sun', durationMs: 262000,
+    analysis: { key: 'D Minor', camelot: '7A', bpm: 118, energy: 41, danceability: 58, happiness: 35,
+      acousticness: 40, instrumentalness: 65, liveness: 8, speechiness: 3, loudness: -11.8, popularity: 37 }
+  },
+  {
+    id: 'MockTrackHighTide00005', name: 'High Tide', artist: 'aurora', album: 'sun', durationMs: 189000,
+    analysis: { key: 'F♯ Minor', camelot: '11A', bpm: 174, energy: 92, danceability: 55, happiness: 48,
+      acousticness: 1, instrumentalness: 70, liveness: 20, speechiness: 7, loudness: -4.3, popularity: 66 }
+  }
+];
+
+// A Spotify API track object
+function spotifyTrack(track) {
+  const artist = ARTISTS[track.artist];
+  const album = ALBUMS[track.album];
+  return {
+    id:            track.id,
+    type:          'track',
+    uri:           `spotify:track:${track.id}`,
+    name:          track.name,
+    artists:       [{ id: artist.id, name: artist.name }],
+    album:         { id: album.id, name: album.name, release_date: album.release_date, images: [] },
+    duration_ms:   track.durationMs,
+    explicit:      false,
+    popularity:    track.analysis.popularity,
+    preview_url:   null,
+    is_local:      false,
+    external_urls: { spotify: `https://open.spotify.com/track/${track.id}` }
+  };
+}
+
+function findTrack(id) {
+  return TRACKS.find(t => t.id === id) || null;
+}
+
+module.exports = { ALBUMS, ARTISTS, TRACKS, spotifyTrack, findTrack };
@@ -0,0 +1,30 @@
+const { createMockSpotify } = require('./spotify-server');
+const { createMockTunebat } = require('./tunebat-server');
+
+// Run both mock servers: `npm run mock`, then `npm run start:mock` in another
+// terminal to start the app against them.
+const SPOTIFY_PORT = Number(process.env.MOCK_SPOTIFY_PORT) || 8890;
+const TUNEBAT_PORT = Number(process.env.MOCK_TUNEBAT_PORT) || 8891;
+
+const servers = [
+  createMockSpotify().listen(SPOTIFY_PORT, () => {
+    console.log(`[Mock] Spotify on http://localhost:${SPOTIFY_PORT}`);
+  }),
+  createMockTunebat().listen(TUNEBAT_PORT, () => {
+    console.log(`[Mock] Tunebat on http://localhost:${TUNEBAT_PORT}`);
+  })
+];
+
+console.log('[Mock] Start the app with:');
+console.log(`  SPOTIFY_ACCOUNTS_BASE=http://localhost:${SPOTIFY_PORT} \\`);
+console.log(`  SPOTIFY_API_BASE=http://localhost:${SPOTIFY_PORT}/v1 \\`);
+console.log(`  TUNEBAT_BASE_URL=http://localhost:${TUNEBAT_PORT} \\`);
+console.log('  TUNEBAT_PAGE_SOURCE=fetch \\');
+console.log('  SPOTIFY_REDIRECT_URI=http://localhost:8888/callback npm start');
+
+function shutdown() {
+  servers.forEach(server => server.close());
+  process.exit(0);
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,480 @@
+const express = require('express');
+const crypto = require('crypto');
+const { TRACKS, ALBUMS, ARTISTS, spotifyTrack, findTrack } = require('./fixtures');
+
+// In-memory stand-in for Spotify's accounts service and the parts of the Web
+// API the app uses. Point the app at it with
+//   SPOTIFY_ACCOUNTS_BASE=http://localhost:<port>
+//   SPOTIFY_API_BASE=http://localhost:<port>/v1
+// Logins are approved without a consent screen. `/mock/*` endpoints change
+// the player, inject failures and expire tokens so error paths can be driven
+// by hand or from a test.
+const USER = { id: 'mock-user', display_name: 'Mock User', product: 'premium' };
+const TOKEN_LIFETIME = 3600; // seconds
+const ALL_SCOPES = [
+  'user-read-currently-playing', 'user-read-playback-state', 'user-modify-playback-state', 'playlist-modify-public',
+  'playlist-modify-private', 'playlist-read-private', 'playlist-read-collaborative', 'user-library-read'
+];
+
+function randomId(length = 22) {
+  return crypto.randomBytes(length).toString('base64').replace(/[^a-zA-Z0-9]/g, '').slice(0, length).padEnd(length, '0');
+}
+
+function initialState() {
+  return {
+    codes:         new Map(), // code → { scope, redirectUri, clientId, codeChallenge }
+    accessTokens:  new Map(), // token → { scope, expiresAt }
+    refreshTokens: new Map(), // token → { scope, clientId }
+    playlists:     new Map([['MockPlaylistNightSet01', {
+      id: 'MockPlaylistNightSet01', name: 'Night Set', public: false,
+      description: 'Fixture playlist', tracks: TRACKS.slice(0, 3).map(t => t.id)
+    }]]),
+    liked:    TRACKS.slice(1, 4).map(t => t.id),
+    player:   {
+      trackId: null, isPlaying: false, progressMs: 0, deviceId: 'MockDeviceLaptop', shuffle: false,
+      repeat: 'off', queue: []
+    },
+    devices:  [
+      { id: 'MockDeviceLaptop', name: 'Mock Laptop', type: 'Computer', volume_percent: 80, is_restricted: false },
+      { id: 'MockDeviceSpeaker', name: 'Mock Speaker', type: 'Speaker', volume_percent: 50, is_restricted: false }
+    ],
+    failures: [], // [{ method, path, status, times, retryAfter, message }]
+    config:   { denyLogin: false, scope: null, tokenLifetime: TOKEN_LIFETIME }
+  };
+}
+
+function apiError(res, status, message) {
+  return res.status(status).json({ error: { status, message } });
+}
+
+// Spotify-style page of `items` with absolute `next`/`previous` links
+function page(req, items, { defaultLimit = 20, maxLimit = 50 } = {}) {
+  const limit = Math.min(Number(req.query.limit) || defaultLimit, maxLimit);
+  const offset = Number(req.query.offset) || 0;
+  const link = at => {
+    const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+    url.searchParams.set('offset', at);
+    url.searchParams.set('limit', limit);
+    return url.href;
+  };
+  return {
+    href:     link(offset),
+    items:    items.slice(offset, offset + limit),
+    limit,
+    offset,
+    total:    items.length,
+    next:     offset + limit < items.length ? link(offset + limit) : null,
+    previous: offset > 0 ? link(Math.max(0, offset - limit)) : null
+  };
+}
+
+function playlistObject(playlist) {
+  return {
+    id:          playlist.id,
+    type:        'playlist',
+    uri:         `spotify:playlist:${playlist.id}`,
+    name:        playlist.name,
+    public:      playlist.public,
+    description: playlist.description,
+    owner:       { id: USER.id, display_name: USER.display_name },
+    tracks:      { total: playlist.tracks.length }
+  };
+}
+
+function createMockSpotify() {
+  let state = initialState();
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  function issueTokens(scope, clientId) {
+    const accessToken = randomId(40);
+    const refreshToken = randomId(40);
+    state.accessTokens.set(accessToken, { scope, expiresAt: Date.now() + state.config.tokenLifetime * 1000 });
+    state.refreshTokens.set(refreshToken, { scope, clientId });
+    return {
+      access_token:  accessToken,
+      token_type:    'Bearer',
+      scope:         scope.join(' '),
+      expires_in:    state.config.tokenLifetime,
+      refresh_token: refreshToken
+    };
+  }
+
+  // —————————————————————————————
+  // Accounts service
+  // —————————————————————————————
+
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, response_type, state: loginState, scope = '' } = req.query;
+    if (!client_id || !redirect_uri || response_type !== 'code') {
+      return res.status(400).send('INVALID_CLIENT: missing client_id, redirect_uri or response_type=code');
+    }
+    if (req.query.code_challenge && req.query.code_challenge_method !== 'S256') {
+      return res.status(400).send('INVALID_REQUEST: code_challenge_method must be S256');
+    }
+
+    const target = new URL(redirect_uri);
+    if (loginState) target.searchParams.set('state', loginState);
+    if (state.config.denyLogin) {
+      target.searchParams.set('error', 'access_denied');
+      return res.redirect(target.href);
+    }
+
+    const code = randomId(32);
+    const granted = state.config.scope || scope.split(' ').filter(s => ALL_SCOPES.includes(s));
+    state.codes.set(code, {
+      scope: granted, redirectUri: redirect_uri, clientId: client_id, codeChallenge: req.query.code_challenge || null
+    });
+    target.searchParams.set('code', code);
+    res.redirect(target.href);
+  });
+
+  // Basic auth (client ID and secret; any secret is accepted) or, for PKCE
+  // apps, a client_id in the body. Resolves to { clientId, pkce } or null.
+  function tokenClient(req) {
+    const basic = (req.get('authorization') || '').match(/^Basic (.+)$/);
+    if (basic) {
+      const [clientId, secret] = Buffer.from(basic[1], 'base64').toString().split(':');
+      return clientId && secret ? { clientId, pkce: false } : null;
+    }
+    return req.body.client_id ? { clientId: req.body.client_id, pkce: true } : null;
+  }
+
+  const invalidGrant = (res, description) => res.status(400).json({ error: 'invalid_grant', error_description: description });
+
+  app.post('/api/token', (req, res) => {
+    const client = tokenClient(req);
+    if (!client) {
+      return res.status(401).json({ error: 'invalid_client', error_description: 'Invalid client' });
+    }
+
+    const { grant_type } = req.body;
+    if (grant_type === 'authorization_code') {
+      const entry = state.codes.get(req.body.code);
+      state.codes.delete(req.body.code);
+      if (!entry || entry.clientId !== client.clientId) return invalidGrant(res, 'Invalid authorization code');
+      if (entry.redirectUri !== req.body.redirect_uri) return invalidGrant(res, 'Invalid redirect URI');
+      if (entry.codeChallenge || client.pkce) {
+        const verifier = req.body.code_verifier || '';
+        const challenge = crypto.createHash('sha256').update(verifier).digest('base64')
+          .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        if (!entry.codeChallenge || challenge !== entry.codeChallenge) return invalidGrant(res, 'code_verifier was incorrect');
+      }
+      return res.json(issueTokens(entry.scope, client.clientId));
+    }
+
+    if (grant_type === 'refresh_token') {
+      const entry = state.refreshTokens.get(req.body.refresh_token);
+      if (!entry || entry.clientId !== client.clientId) return invalidGrant(res, 'Invalid refresh token');
+      // Like Spotify, usually no new refresh token
+      const { refresh_token, ...tokens } = issueTokens(entry.scope, entry.clientId);
+      state.refreshTokens.delete(refresh_token);
+      return res.json(tokens);
+    }
+
+    res.status(400).json({ error: 'unsupported_grant_type', error_description: `grant_type ${grant_type} is not supported` });
+  });
+
+  // —————————————————————————————
+  // Web API
+  // —————————————————————————————
+
+  const api = express.Router();
+
+  // Injected failures run before auth, so 5xx/429 can hit any call
+  api.use((req, res, next) => {
+    const failure = state.failures.find(f =>
+      (!f.method || f.method === req.method) && req.path.startsWith(f.path) && f.times > 0);
+    if (!failure) return next();
+
+    failure.times--;
+    state.failures = state.failures.filter(f => f.times > 0);
+    if (failure.retryAfter) res.set('Retry-After', String(failure.retryAfter));
+    apiError(res, failure.status, failure.message || `Injected failure (${failure.status})`);
+  });
+
+  api.use((req, res, next) => {
+    const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+    const entry = state.accessTokens.get(token);
+    if (!entry) return apiError(res, 401, 'Invalid access token');
+    if (entry.expiresAt <= Date.now()) return apiError(res, 401, 'The access token expired');
+    req.scope = entry.scope;
+    next();
+  });
+
+  function requireScope(req, res, ...scopes) {
+    if (scopes.some(s => req.scope.includes(s))) return true;
+    apiError(res, 403, 'Insufficient client scope');
+    return false;
+  }
+
+  api.get('/me', (req, res) => res.json(USER));
+
+  api.get('/tracks/:id', (req, res) => {
+    const track = findTrack(req.params.id);
+    if (!track) return apiError(res, 404, 'Non existing id');
+    res.json(spotifyTrack(track));
+  });
+
+  api.get('/albums/:id', (req, res) => {
+    const [key, album] = Object.entries(ALBUMS).find(([, a]) => a.id === req.params.id) || [];
+    if (!album) return apiError(res, 404, 'Non existing id');
+    res.json({ ...album, type: 'album', tracks: page(req, TRACKS.filter(t => t.album === key).map(spotifyTrack)) });
+  });
+
+  api.get('/albums/:id/tracks', (req, res) => {
+    const key = Object.keys(ALBUMS).find(k => ALBUMS[k].id === req.params.id);
+    if (!key) return apiError(res, 404, 'Non existing id');
+    res.json(page(req, TRACKS.filter(t => t.album === key).map(spotifyTrack)));
+  });
+
+  api.get('/artists/:id', (req, res) => {
+    const artist = Object.values(ARTISTS).find(a => a.id === req.params.id);
+    if (!artist) return apiError(res, 404, 'Non existing id');
+    res.json({ ...artist, type: 'artist' });
+  });
+
+  api.get('/artists/:id/top-tracks', (req, res) => {
+    const key = Object.keys(ARTISTS).find(k => ARTISTS[k].id === req.params.id);
+    if (!key) return apiError(res, 404, 'Non existing id');
+    res.json({ tracks: TRACKS.filter(t => t.artist === key).map(spotifyTrack) });
+  });
+
+  api.get('/me/tracks', (req, res) => {
+    if (!requireScope(req, res, 'user-library-read')) return;
+    res.json(page(req, state.liked.map(id => ({ added_at: new Date().toISOString(), track: spotifyTrack(findTrack(id)) }))));
+  });
+
+  api.get('/me/player/currently-playing', (req, res) => {
+    if (!requireScope(req, res, 'user-read-currently-playing', 'user-read-playback-state')) return;
+    const { trackId, isPlaying, progressMs } = state.player;
+    if (!trackId) return res.status(204).end();
+    res.json({
+      is_playing:           isPlaying,
+      progress_ms:          progressMs,
+      currently_playing_type: 'track',
+      item:                 spotifyTrack(findTrack(trackId))
+    });
+  });
+
+  function deviceObject(device) {
+    return { ...device, is_active: device.id === state.player.deviceId, is_private_session: false };
+  }
+
+  api.get('/me/player', (req, res) => {
+    if (!requireScope(req, res, 'user-read-playback-state')) return;
+    const { trackId, isPlaying, progressMs, deviceId, shuffle, repeat } = state.player;
+    if (!trackId || !deviceId) return res.status(204).end();
+    res.json({
+      device:        deviceObject(state.devices.find(d => d.id === deviceId)),
+      is_playing:    isPlaying,
+      progress_ms:   progressMs,
+      shuffle_state: shuffle,
+      repeat_state:  repeat,
+      currently_playing_type: 'track',
+      item:          spotifyTrack(findTrack(trackId))
+    });
+  });
+
+  api.get('/me/player/devices', (req, res) => {
+    if (!requireScope(req, res, 'user-read-playback-state')) return;
+    res.json({ devices: state.devices.map(deviceObject) });
+  });
+
+  api.put('/me/player', (req, res) => {
+    if (!requireScope(req, res, 'user-modify-playback-state')) return;
+    const deviceId = (req.body.device_ids || [])[0];
+    if (!state.devices.some(d => d.id === deviceId)) return apiError(res, 404, 'Device not found');
+    state.player.deviceId = deviceId;
+    if (req.body.play) state.player.isPlaying = true;
+    res.status(204).end();
+  });
+
+  // Player commands: scope, Premium and an active (or named) device, like Spotify
+  function playerCommand(handler) {
+    return (req, res) => {
+      if (!requireScope(req, res, 'user-modify-playback-state')) return;
+      const deviceId = req.query.device_id || state.player.deviceId;
+      if (!deviceId || !state.devices.some(d => d.id === deviceId)) {
+        return res.status(404).json({ error: { status: 404, message: 'Player command failed: No active device found', reason: 'NO_ACTIVE_DEVICE' } });
+      }
+      state.player.deviceId = deviceId;
+      const error = handler(req);
+      if (error) return apiError(res, 400, error);
+      res.status(204).end();
+    };
+  }
+
+  const moveTrack = step => {
+    const index = TRACKS.findIndex(t => t.id === state.player.trackId);
+    const next = step > 0 && state.player.queue.length
+      ? state.player.queue.shift()
+      : TRACKS[(index + step + TRACKS.length) % TRACKS.length].id;
+    Object.assign(state.player, { trackId: next, progressMs: 0, isPlaying: true });
+  };
+
+  api.put('/me/player/play', playerCommand(req => {
+    const uris = req.body && req.body.uris;
+    if (uris) {
+      const id = uris[0].replace(/^spotify:track:/, '');
+      if (!findTrack(id)) return 'Invalid track uri';
+      Object.assign(state.player, { trackId: id, progressMs: 0 });
+    }
+    if (!state.player.trackId) state.player.trackId = TRACKS[0].id;
+    state.player.isPlaying = true;
+  }));
+  api.put('/me/player/pause', playerCommand(() => { state.player.isPlaying = false; }));
+  api.post('/me/player/next', playerCommand(() => moveTrack(1)));
+  api.post('/me/player/previous', playerCommand(() => moveTrack(-1)));
+  api.put('/me/player/seek', playerCommand(req => {
+    const position = Number(req.query.position_ms);
+    if (!Number.isInteger(position) || position < 0) return 'Invalid position_ms';
+    state.player.progressMs = position;
+  }));
+  api.put('/me/player/volume', playerCommand(req => {
+    const volume = Number(req.query.volume_percent);
+    if (!Number.isInteger(volume) || volume < 0 || volume > 100) return 'Invalid volume_percent';
+    state.devices.find(d => d.id === state.player.deviceId).volume_percent = volume;
+  }));
+  api.put('/me/player/shuffle', playerCommand(req => { state.player.shuffle = req.query.state === 'true'; }));
+  api.put('/me/player/repeat', playerCommand(req => {
+    if (!['off', 'track', 'context'].includes(req.query.state)) return 'Invalid state';
+    state.player.repeat = req.query.state;
+  }));
+  api.post('/me/player/queue', playerCommand(req => {
+    const id = String(req.query.uri || '').replace(/^spotify:track:/, '');
+    if (!findTrack(id)) return 'Invalid track uri';
+    state.player.queue.push(id);
+  }));
+
+  api.get('/me/playlists', (req, res) => {
+    if (!requireScope(req, res, 'playlist-read-private')) return;
+    res.json(page(req, [...state.playlists.values()].map(playlistObject)));
+  });
+
+  api.post('/users/:userId/playlists', (req, res) => {
+    if (req.params.userId !== USER.id) return apiError(res, 403, 'You cannot create a playlist for another user');
+    if (!requireScope(req, res, req.body.public ? 'playlist-modify-public' : 'playlist-modify-private')) return;
+    if (!req.body.name) return apiError(res, 400, 'Missing required field: name');
+
+    const playlist = {
+      id:          randomId(),
+      name:        req.body.name,
+      public:      !!req.body.public,
+      description: req.body.description || '',
+      tracks:      []
+    };
+    state.playlists.set(playlist.id, playlist);
+    res.status(201).json(playlistObject(playlist));
+  });
+
+  function getPlaylist(req, res) {
+    const playlist = state.playlists.get(req.params.id);
+    if (!playlist) apiError(res, 404, 'Not found.');
+    return playlist;
+  }
+
+  api.get('/playlists/:id', (req, res) => {
+    const playlist = getPlaylist(req, res);
+    if (playlist) res.json(playlistObject(playlist));
+  });
+
+  // `fields` is accepted but ignored; full items are returned
+  api.get('/playlists/:id/tracks', (req, res) => {
+    const playlist = getPlaylist(req, res);
+    if (!playlist) return;
+    const items = playlist.tracks.map(id => ({ added_at: new Date().toISOString(), track: spotifyTrack(findTrack(id)) }));
+    res.json(page(req, items, { defaultLimit: 100, maxLimit: 100 }));
+  });
+
+  function trackIdsFromUris(uris) {
+    return uris.map(uri => uri.replace(/^spotify:track:/, ''));
+  }
+
+  api.post('/playlists/:id/tracks', (req, res) => {
+    if (!requireScope(req, res, 'playlist-modify-private', 'playlist-modify-public')) return;
+    const playlist = getPlaylist(req, res);
+    if (!playlist) return;
+
+    const uris = req.body.uris || [];
+    if (!uris.length || uris.length > 100) return apiError(res, 400, 'You can add a maximum of 100 tracks per request.');
+    const ids = trackIdsFromUris(uris);
+    if (ids.some(id => !findTrack(id))) return apiError(res, 400, 'Invalid track uri');
+
+    playlist.tracks.push(...ids);
+    res.status(201).json({ snapshot_id: randomId(32) });
+  });
+
+  api.delete('/playlists/:id/tracks', (req, res) => {
+    if (!requireScope(req, res, 'playlist-modify-private', 'playlist-modify-public')) return;
+    const playlist = getPlaylist(req, res);
+    if (!playlist) return;
+
+    const tracks = req.body.tracks || [];
+    if (!tracks.length || tracks.length > 100) return apiError(res, 400, 'You can remove a maximum of 100 tracks per request.');
+    const ids = trackIdsFromUris(tracks.map(t => t.uri));
+    playlist.tracks = playlist.tracks.filter(id => !ids.includes(id));
+    res.json({ snapshot_id: randomId(32) });
+  });
+
+  api.use((req, res) => apiError(res, 404, 'Service not found'));
+  app.use('/v1', api);
+
+  // —————————————————————————————
+  // Test controls
+  // —————————————————————————————
+
+  app.get('/mock/state', (req, res) => {
+    res.json({
+      player:    state.player,
+      devices:   state.devices,
+      playlists: [...state.playlists.values()],
+      liked:     state.liked,
+      failures:  state.failures,
+      config:    state.config,
+      tracks:    TRACKS.map(t => ({ id: t.id, name: t.name }))
+    });
+  });
+
+  app.post('/mock/reset', (req, res) => {
+    state = initialState();
+    res.json({ success: true });
+  });
+
+  // Body: { trackId|null, isPlaying, progressMs }
+  app.put('/mock/player', (req, res) => {
+    const { trackId = null, isPlaying = true, progressMs = 0, deviceId = state.player.deviceId } = req.body || {};
+    if (trackId && !findTrack(trackId)) return res.status(400).json({ error: 'Unknown fixture track' });
+    // deviceId: null leaves no active device, for NO_ACTIVE_DEVICE errors
+    if (deviceId && !state.devices.some(d => d.id === deviceId)) return res.status(400).json({ error: 'Unknown mock device' });
+    Object.assign(state.player, { trackId, isPlaying: !!isPlaying, progressMs, deviceId });
+    res.json(state.player);
+  });
+
+  // Body: { path: '/me/playlists', method?, status, times?, retryAfter?, message? }
+  app.post('/mock/failures', (req, res) => {
+    const { path, method = null, status, times = 1, retryAfter = null, message = null } = req.body || {};
+    if (typeof path !== 'string' || !Number.isInteger(status)) {
+      return res.status(400).json({ error: 'path and an integer status are required' });
+    }
+    state.failures.push({ path, method, status, times, retryAfter, message });
+    res.json(state.failures);
+  });
+
+  // Every issued access token expires now; refresh tokens keep working
+  app.post('/mock/expire-tokens', (req, res) => {
+    state.accessTokens.forEach(entry => { entry.expiresAt = 0; });
+    res.json({ success: true });
+  });
+
+  // Body: { denyLogin?, scope? (list granted to new logins), tokenLifetime? }
+  app.put('/mock/config', (req, res) => {
+    Object.assign(state.config, req.body || {});
+    res.json(state.config);
+  });
+
+  return app;
+}
+
+module.exports = { createMockSpotify, ALL_SCOPES };
@@ -0,0 +1,109 @@
+const express = require('express');
+const { TRACKS, ARTISTS, ALBUMS, findTrack } = require('./fixtures');
+
+// Static stand-in for tunebat.com "Info" pages, rendered from the fixture
+// tracks in the markup tunebat-parser.js reads. Point the app at it with
+//   TUNEBAT_BASE_URL=http://localhost:<port>
+// `PUT /mock/block` makes the next pages security-check or rate-limit pages.
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function formatDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return `${MONTHS[month - 1]} ${day}, ${year}`;
+}
+
+function recommendationRow(track) {
+  const a = track.analysis;
+  return `
+    <div class="ant-row pDoqI">
+      <img src="/images/${track.id}.jpg">
+      <span class="aZDDf">${escapeHtml(track.name)}</span>
+      <span class="_2zAVA">${escapeHtml(ARTISTS[track.artist].name)}</span>
+      <a class="NWuk-" href="https://open.spotify.com/track/${track.id}">Open in Spotify</a>
+      <span class="lAjUd">${escapeHtml(a.key)}</span>
+      <span class="lAjUd">${a.bpm}</span>
+      <span class="lAjUd">${a.camelot}</span>
+      <span class="lAjUd">${a.popularity}</span>
+    </div>`;
+}
+
+function infoPage(track) {
+  const a = track.analysis;
+  const album = ALBUMS[track.album];
+  const stat = (value, label) => `<div class="stat">${value} ${label}</div>`;
+  return `<!DOCTYPE html>
+<html>
+<head><title>${escapeHtml(track.name)} - Tunebat</title></head>
+<body>
+  <h1>${escapeHtml(track.name)}</h1>
+  <div class="artist-name">${escapeHtml(ARTISTS[track.artist].name)}</div>
+  <div class="album-name">${escapeHtml(album.name)}</div>
+  <img alt="album art" src="/images/${track.id}.jpg">
+  <div>Key: ${escapeHtml(a.key)}</div>
+  <div>Camelot: ${a.camelot}</div>
+  <div>BPM: ${a.bpm}</div>
+  <div>Duration: ${formatDuration(track.durationMs)}</div>
+  <div>Release Date: ${formatDate(album.release_date)}</div>
+  <div>Explicit: No</div>
+  ${stat(a.popularity, 'Popularity')}
+  ${stat(a.energy, 'Energy')}
+  ${stat(a.danceability, 'Danceability')}
+  ${stat(a.happiness, 'Happiness')}
+  ${stat(a.acousticness, 'Acousticness')}
+  ${stat(a.instrumentalness, 'Instrumentalness')}
+  ${stat(a.liveness, 'Liveness')}
+  ${stat(a.speechiness, 'Speechiness')}
+  ${stat(`${a.loudness} dB`, 'Loudness')}
+  <h2>Recommendations</h2>
+  ${TRACKS.filter(t => t.id !== track.id).map(recommendationRow).join('\n')}
+</body>
+</html>`;
+}
+
+const BLOCK_PAGES = {
+  'security-check': '<html><body><h2>Please complete the security check to continue</h2></body></html>',
+  'rate-limited':   '<html><body><h2>Too Many Requests</h2></body></html>'
+};
+
+function createMockTunebat() {
+  let block = { mode: null, times: 0 };
+  const app = express();
+  app.use(express.json());
+
+  app.get('/Info/:slug/:trackId', (req, res) => {
+    if (block.mode && block.times > 0) {
+      block.times--;
+      return res.status(block.mode === 'rate-limited' ? 429 : 200).send(BLOCK_PAGES[block.mode]);
+    }
+
+    const track = findTrack(req.params.trackId);
+    if (!track) {
+      return res.status(404).send('<html><body><p>Page not found</p></body></html>');
+    }
+    res.send(infoPage(track));
+  });
+
+  // Body: { mode: 'security-check' | 'rate-limited' | null, times? }
+  app.put('/mock/block', (req, res) => {
+    const { mode = null, times = 1 } = req.body || {};
+    if (mode !== null && !BLOCK_PAGES[mode]) {
+      return res.status(400).json({ error: `mode must be one of: ${Object.keys(BLOCK_PAGES).join(', ')}` });
+    }
+    block = { mode, times: mode ? times : 0 };
+    res.json(block);
+  });
+
+  return app;
+}
+
+module.exports = { createMockTunebat, infoPage };
@@ -0,0 +1,222 @@
+const { EventEmitter } = require('events');
+const { SpotifyRateLimitError } = require('./spotify-client');
+const { createLogger, runWithContext, newRequestId } = require('./logger');
+const { clientMessage } = require('./api-errors');
+
+const logger = createLogger('NowPlaying');
+
+const POLL_INTERVAL  = Number(process.env.WATCHER_POLL_MS) || 7000;
+const POLL_JITTER    = 1700;
+const MAX_BACKOFF    = 2 * 60 * 1000;
+const IDLE_TIMEOUT   = (Number(process.env.WATCHER_IDLE_MINUTES) || 120) * 60 * 1000;
+
+// One watcher per Spotify user. Each polls currently-playing on the server
+// with the user's token session, so it keeps running after the browser tab
+// is closed. A track change runs `onTrackChange(track, watcher)`, and every
+// successful poll then runs `onPlayback(playback, watcher)` if given.
+// Everything that happens is emitted as an event so browsers can follow over
+// SSE (poll and analysis errors are 'failure' events; 'error' is taken by EventSource).
+function createNowPlayingManager({ onTrackChange, onPlayback = null }) {
+  const watchers = new Map();
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  function serialize(watcher) {
+    return {
+      userId:      watcher.userId,
+      status:      watcher.status,
+      startedAt:   watcher.startedAt,
+      stoppedAt:   watcher.stoppedAt,
+      stopReason:  watcher.stopReason,
+      playback:    watcher.playback,
+      lastResult:  watcher.lastResult,
+      lastError:   watcher.lastError
+    };
+  }
+
+  function emit(watcher, type, payload) {
+    events.emit(watcher.userId, { type, watcher: serialize(watcher), ...payload });
+  }
+
+  function nextDelay(watcher) {
+    if (watcher.retryAfter) {
+      const delay = watcher.retryAfter;
+      watcher.retryAfter = 0;
+      return delay;
+    }
+    // Back off on repeated errors, otherwise poll with a little jitter
+    const base = watcher.failures
+      ? Math.min(POLL_INTERVAL * 2 ** watcher.failures, MAX_BACKOFF)
+      : POLL_INTERVAL;
+    return base + Math.floor(Math.random() * POLL_JITTER);
+  }
+
+  function schedule(watcher) {
+    if (watcher.status !== 'running') return;
+    watcher.timer = setTimeout(() => pollWithContext(watcher), nextDelay(watcher));
+    watcher.timer.unref();
+  }
+
+  async function readPlayback(watcher) {
+    let data;
+    try {
+      // No retries here; the poll loop has its own backoff
+      data = await watcher.spotify.get('/me/player/currently-playing', null, { retries: 0 });
+    } catch (err) {
+      if (err instanceof SpotifyRateLimitError) {
+        watcher.retryAfter = err.retryAfter || 30 * 1000;
+        throw new Error('Rate limited by Spotify');
+      }
+      throw err;
+    }
+
+    if (!data || !data.item || data.item.type !== 'track') return null;
+    return {
+      isPlaying:  data.is_playing,
+      progressMs: data.progress_ms,
+      track: {
+        id:         data.item.id,
+        name:       data.item.name,
+        artists:    data.item.artists.map(a => a.name),
+        album:      data.item.album.name,
+        durationMs: data.item.duration_ms
+      }
+    };
+  }
+
+  // Each poll gets its own request ID in the logs, rather than inheriting the
+  // ID of the HTTP request that started the watcher
+  function pollWithContext(watcher) {
+    return runWithContext({ requestId: newRequestId(), userId: watcher.userId }, () => poll(watcher));
+  }
+
+  async function poll(watcher) {
+    if (watcher.status !== 'running') return;
+
+    let playback;
+    try {
+      playback = await readPlayback(watcher);
+      watcher.failures = 0;
+      watcher.lastError = null;
+    } catch (err) {
+      watcher.failures++;
+      logger.warn('Reading playback failed', { error: err });
+      watcher.lastError = clientMessage(err, 'Could not read playback');
+      emit(watcher, 'failure', { error: watcher.lastError });
+      // The token session already tried a refresh; the login is gone
+      if (err.status === 401) return stop(watcher.userId, 'Spotify session expired');
+      return schedule(watcher);
+    }
+
+    if (watcher.status !== 'running') return;
+    watcher.playback = playback;
+    watcher.polledAt = Date.now();
+    emit(watcher, 'playback', { playback });
+
+    if (playback && playback.isPlaying) {
+      watcher.idleSince = null;
+    } else if (!watcher.idleSince) {
+      watcher.idleSince = Date.now();
+    } else if (Date.now() - watcher.idleSince > IDLE_TIMEOUT) {
+      return stop(watcher.userId, 'Nothing played for a while');
+    }
+
+    const trackId = playback && playback.track.id;
+    if (trackId && trackId !== watcher.lastTrackId) {
+      watcher.lastTrackId = trackId;
+      emit(watcher, 'track', { track: playback.track });
+      try {
+        watcher.lastResult = await onTrackChange(playback.track, watcher);
+        emit(watcher, 'analysis', { result: watcher.lastResult });
+      } catch (err) {
+        logger.error('Analyzing new track failed', { trackId, error: err });
+        watcher.lastError = clientMessage(err, 'Analysis failed');
+        emit(watcher, 'failure', { error: watcher.lastError, trackId });
+      }
+    }
+
+    if (onPlayback && watcher.status === 'running') {
+      try {
+        await onPlayback(playback, watcher);
+      } catch (err) {
+        logger.error('Playback handler failed', { error: err });
+        emit(watcher, 'failure', { error: clientMessage(err, 'Playback handling failed') });
+      }
+    }
+
+    schedule(watcher);
+  }
+
+  // Start the user's watcher (or hand a running one fresh tokens). `spotify` is
+  // a Spotify client; `context` is kept on the watcher for onTrackChange (e.g. sessionId).
+  function start(userId, { spotify, ...context }) {
+    let watcher = watchers.get(userId);
+    if (watcher && watcher.status === 'running') {
+      watcher.spotify = spotify;
+      Object.assign(watcher, context);
+      emit(watcher, 'status');
+      return watcher;
+    }
+
+    watcher = {
+      userId,
+      status:      'running',
+      startedAt:   new Date().toISOString(),
+      stoppedAt:   null,
+      stopReason:  null,
+      spotify,
+      ...context,
+      playback:    null,
+      polledAt:    null,
+      lastTrackId: null,
+      lastResult:  null,
+      lastError:   null,
+      failures:    0,
+      retryAfter:  0,
+      idleSince:   null,
+      timer:       null
+    };
+    watchers.set(userId, watcher);
+    emit(watcher, 'status');
+    pollWithContext(watcher);
+    return watcher;
+  }
+
+  function stop(userId, reason = 'Stopped by user') {
+    const watcher = watchers.get(userId);
+    if (!watcher || watcher.status !== 'running') return watcher || null;
+
+    clearTimeout(watcher.timer);
+    watcher.status = 'stopped';
+    watcher.stoppedAt = new Date().toISOString();
+    watcher.stopReason = reason;
+    // Drop the tokens; a stopped watcher only keeps its last state for display
+    watcher.spotify = null;
+    emit(watcher, 'status');
+    return watcher;
+  }
+
+  function getWatcher(userId) {
+    return watchers.get(userId) || null;
+  }
+
+  // Subscribe to a user's watcher events; returns an unsubscribe function
+  function subscribe(userId, listener) {
+    events.on(userId, listener);
+    return () => events.off(userId, listener);
+  }
+
+  // Emit an event of the caller's own (e.g. an Auto-DJ decision) to the user's subscribers
+  function publish(userId, type, payload) {
+    const watcher = watchers.get(userId);
+    if (watcher) emit(watcher, type, payload);
+  }
+
+  function stopAll() {
+    for (const userId of watchers.keys()) stop(userId, 'Server shutting down');
+  }
+
+  return { start, stop, getWatcher, subscribe, publish, serialize, stopAll };
+}
+
+module.exports = { createNowPlayingManager };
@@ -0,0 +1,139 @@
+const { ERROR_CODES } = require('./api-errors');
+const { version } = require('./package.json');
+
+// OpenAPI 3.1 description of the API, built from the routes themselves:
+// every route with a validate() middleware is listed with that operation's
+// schemas (see api-schemas.js). `auth` maps auth middleware to the security
+// scheme it stands for and the error codes it can answer with.
+
+// Codes any route can answer with
+const COMMON_ERRORS = ['INTERNAL_ERROR'];
+
+function errorSchema(codes) {
+  return {
+    allOf: [
+      { $ref: '#/components/schemas/Error' },
+      { properties: { code: { enum: codes } } }
+    ]
+  };
+}
+
+// One response per HTTP status, listing the codes it can carry
+function errorResponses(codes) {
+  const byStatus = {};
+  [...new Set(codes)].forEach(code => {
+    const status = ERROR_CODES[code][0];
+    (byStatus[status] = byStatus[status] || []).push(code);
+  });
+
+  return Object.fromEntries(Object.entries(byStatus).map(([status, statusCodes]) => [status, {
+    description: statusCodes.map(code => `${code}: ${ERROR_CODES[code][1]}`).join('\n\n'),
+    content:     { 'application/json': { schema: errorSchema(statusCodes) } }
+  }]));
+}
+
+function parameters(schema, where) {
+  if (!schema) return [];
+  return Object.entries(schema.properties || {}).map(([name, property]) => ({
+    name,
+    in:       where,
+    required: where === 'path' || (schema.required || []).includes(name),
+    schema:   property
+  }));
+}
+
+function describeOperation(operation, route, auth) {
+  const authLayer = route.stack.map(layer => auth.get(layer.handle)).find(Boolean);
+  const validated = operation.params || operation.query || operation.body;
+  const errors = [
+    ...(validated ? ['VALIDATION_FAILED'] : []),
+    ...(authLayer ? authLayer.errors : []),
+    ...(operation.errors || []),
+    ...COMMON_ERRORS
+  ];
+
+  const described = {
+    tags:       [operation.tag],
+    summary:    operation.summary,
+    parameters: [...parameters(operation.params, 'path'), ...parameters(operation.query, 'query')],
+    responses:  { '2XX': { description: 'Success' }, ...errorResponses(errors) }
+  };
+  if (operation.description) described.description = operation.description;
+  if (operation.body) {
+    described.requestBody = { required: true, content: { 'application/json': { schema: operation.body } } };
+  }
+  if (authLayer) described.security = [{ [authLayer.scheme]: [] }];
+  return described;
+}
+
+function buildOpenApiDocument(app, auth) {
+  const paths = {};
+  app._router.stack
+    .filter(layer => layer.route)
+    .forEach(({ route }) => {
+      const validator = route.stack.find(layer => layer.handle.operation);
+      if (!validator) return;
+      // Express's /jobs/:id is OpenAPI's /jobs/{id}
+      const path = route.path.replace(/:(\w+)/g, '{$1}');
+      Object.keys(route.methods).forEach(method => {
+        paths[path] = paths[path] || {};
+        paths[path][method] = describeOperation(validator.handle.operation, route, auth);
+      });
+    });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title:       'Song Data Analyzer API',
+      version,
+      description: 'Errors share one envelope; branch on `code`, not on the `error` message.'
+    },
+    paths,
+    components: {
+      schemas: {
+        Error: {
+          type:     'object',
+          required: ['success', 'code', 'error', 'requestId'],
+          properties: {
+            success:       { const: false },
+            code:          { $ref: '#/components/schemas/ErrorCode' },
+            error:         { type: 'string', description: 'For people; may change' },
+            details:       {
+              type:        'array',
+              description: 'VALIDATION_FAILED (and INVALID_TRACK_ID): every problem found',
+              items: {
+                type: 'object',
+                properties: {
+                  in:      { enum: ['path', 'query', 'body'] },
+                  path:    { type: 'string' },
+                  message: { type: 'string' }
+                }
+              }
+            },
+            retryAfterSec: { type: 'integer', description: 'SCRAPE_BLOCKED and RATE_LIMITED; also sent as Retry-After' },
+            spotify:       { type: 'object', description: 'Failed /api/analyze: the track that was analyzed' },
+            providers:     {
+              type:        'object',
+              description: 'Failed /api/analyze: each provider\'s { success, url, error, scrapeId }'
+            },
+            requestId:     { type: 'string', description: 'Also sent as X-Request-ID; quote it when reporting a problem' }
+          }
+        },
+        ErrorCode: {
+          oneOf: Object.entries(ERROR_CODES).map(([code, [status, description]]) => ({
+            const: code, description: `HTTP ${status}. ${description}`
+          }))
+        }
+      },
+      securitySchemes: {
+        spotifyLogin: {
+          type: 'apiKey', in: 'cookie', name: 'access_token',
+          description: 'Session cookies set by /login; refresh_token alone is enough'
+        },
+        adminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN' }
+      }
+    }
+  };
+}
+
+module.exports = { buildOpenApiDocument };
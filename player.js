@@ -0,0 +1,138 @@
+// Playback control on the user's behalf. The browser can't call Spotify
+// itself (the access token cookie is httpOnly), so the UI goes through
+// /api/player/* and these helpers. `spotify` is a Spotify client.
+
+const REPEAT_STATES = ['off', 'track', 'context'];
+
+class PlayerInputError extends Error {}
+
+function isTrackId(id) {
+  return typeof id === 'string' && /^[a-zA-Z0-9]{22}$/.test(id);
+}
+
+function percent(value, name) {
+  if (!Number.isInteger(value) || value < 0 || value > 100) {
+    throw new PlayerInputError(`${name} must be an integer from 0 to 100`);
+  }
+  return value;
+}
+
+// Player commands by route name. Each turns a request body into the Spotify
+// call { method, path, query?, body? } or throws PlayerInputError.
+const PLAYER_COMMANDS = {
+  // { trackIds? } — without tracks, resumes what was playing
+  play: ({ trackIds }) => {
+    if (trackIds === undefined) return { method: 'PUT', path: '/me/player/play' };
+    if (!Array.isArray(trackIds) || !trackIds.length || !trackIds.every(isTrackId)) {
+      throw new PlayerInputError('trackIds must be a list of Spotify track IDs');
+    }
+    return { method: 'PUT', path: '/me/player/play', body: { uris: trackIds.map(id => `spotify:track:${id}`) } };
+  },
+  pause:    () => ({ method: 'PUT', path: '/me/player/pause' }),
+  next:     () => ({ method: 'POST', path: '/me/player/next' }),
+  previous: () => ({ method: 'POST', path: '/me/player/previous' }),
+
+  // { positionMs }
+  seek: ({ positionMs }) => {
+    if (!Number.isInteger(positionMs) || positionMs < 0) {
+      throw new PlayerInputError('positionMs must be a non-negative integer');
+    }
+    return { method: 'PUT', path: '/me/player/seek', query: { position_ms: positionMs } };
+  },
+
+  // { volumePercent }
+  volume: ({ volumePercent }) => ({
+    method: 'PUT', path: '/me/player/volume', query: { volume_percent: percent(volumePercent, 'volumePercent') }
+  }),
+
+  // { state: true|false }
+  shuffle: ({ state }) => {
+    if (typeof state !== 'boolean') throw new PlayerInputError('state must be true or false');
+    return { method: 'PUT', path: '/me/player/shuffle', query: { state } };
+  },
+
+  // { state: 'off'|'track'|'context' }
+  repeat: ({ state }) => {
+    if (!REPEAT_STATES.includes(state)) {
+      throw new PlayerInputError(`state must be one of: ${REPEAT_STATES.join(', ')}`);
+    }
+    return { method: 'PUT', path: '/me/player/repeat', query: { state } };
+  },
+
+  // { trackId }
+  queue: ({ trackId }) => {
+    if (!isTrackId(trackId)) throw new PlayerInputError('trackId must be a Spotify track ID');
+    return { method: 'POST', path: '/me/player/queue', query: { uri: `spotify:track:${trackId}` } };
+  }
+};
+
+// Run a named command; `body.deviceId` targets a device other than the active one
+async function runPlayerCommand(spotify, name, body = {}) {
+  const build = PLAYER_COMMANDS[name];
+  if (!build) throw new PlayerInputError(`Unknown player command "${name}"`);
+  if (body.deviceId !== undefined && typeof body.deviceId !== 'string') {
+    throw new PlayerInputError('deviceId must be a string');
+  }
+
+  const command = build(body);
+  await spotify.request(command.method, command.path, {
+    query: { ...command.query, device_id: body.deviceId },
+    body:  command.body
+  });
+}
+
+function toDevice(device) {
+  return {
+    id:            device.id,
+    name:          device.name,
+    type:          device.type,
+    isActive:      device.is_active,
+    isRestricted:  device.is_restricted,
+    volumePercent: device.volume_percent
+  };
+}
+
+// Full playback state, or null when nothing is active on any device
+async function getPlaybackState(spotify) {
+  const data = await spotify.get('/me/player');
+  if (!data) return null;
+
+  const item = data.item && data.item.type === 'track' ? data.item : null;
+  return {
+    isPlaying:    data.is_playing,
+    progressMs:   data.progress_ms,
+    shuffle:      data.shuffle_state,
+    repeat:       data.repeat_state,
+    device:       data.device ? toDevice(data.device) : null,
+    track:        item && {
+      id:         item.id,
+      name:       item.name,
+      artists:    item.artists.map(a => a.name),
+      album:      item.album.name,
+      durationMs: item.duration_ms
+    }
+  };
+}
+
+async function getDevices(spotify) {
+  const data = await spotify.get('/me/player/devices');
+  return data.devices.map(toDevice);
+}
+
+// Move playback to `deviceId`; `play` starts it there instead of keeping the current state
+async function transferPlayback(spotify, deviceId, play = false) {
+  if (typeof deviceId !== 'string' || !deviceId) {
+    throw new PlayerInputError('deviceId is required');
+  }
+  await spotify.put('/me/player', { device_ids: [deviceId], play: !!play });
+}
+
+module.exports = {
+  REPEAT_STATES,
+  PLAYER_COMMANDS,
+  PlayerInputError,
+  runPlayerCommand,
+  getPlaybackState,
+  getDevices,
+  transferPlayback
+};
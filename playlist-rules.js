@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const { FEATURE_FIELDS, parseKey, parseCamelot } = require('./analysis-schema');
+
+// Per-user playlist sorting rules, keyed by Spotify user ID:
+//   { enabled, rules: [rule] }
+//
+// A rule puts a track into one playlist when its conditions match:
+//   {
+//     id, enabled,
+//     playlist:   'Peak {bucket} BPM — {camelot}',  // name template
+//     match:      'all' | 'any',                     // AND / OR of conditions
+//     conditions: [{ field: 'camelot', is: '8A' }, { field: 'bpm', min: 122, max: 128 }],
+//     bucket:     { field: 'bpm', size: 5 },          // optional: {bucket} → '120–125'
+//     foldBpm:    { min: 85, max: 170 }               // optional: half/double-time folding
+//   }
+const store = createJsonStore('playlist-rules.json', { label: 'Rules' });
+
+const MAX_RULES = 50;
+const MAX_PLAYLIST_NAME = 100;
+
+const NUMERIC_FIELDS = ['bpm', ...FEATURE_FIELDS, 'loudness', 'durationSec', 'year'];
+const TEXT_FIELDS    = ['key', 'camelot', 'mode', 'artist'];
+const TEMPLATE_FIELDS = [...NUMERIC_FIELDS, 'key', 'camelot', 'mode', 'artist', 'title', 'album', 'bucket'];
+
+class RuleError extends Error {}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Move a BPM into [min, max] by halving/doubling (a 174 BPM DnB track counts as 87)
+function foldBpm(bpm, { min, max }) {
+  while (bpm > max) bpm /= 2;
+  while (bpm < min) bpm *= 2;
+  return bpm;
+}
+
+// Values a rule can look at; text values are canonical (key name, Camelot code)
+function trackValues(rule, analysis, spotify) {
+  let bpm = analysis.bpm;
+  // Only a positive BPM can be folded (halving/doubling 0 never ends); any
+  // other value leaves the rule's BPM conditions unmatched
+  if (bpm != null && rule.foldBpm) bpm = isNumber(bpm) && bpm > 0 ? foldBpm(bpm, rule.foldBpm) : null;
+
+  const values = {
+    bpm,
+    loudness:    analysis.loudness,
+    durationSec: analysis.durationSec,
+    year:        analysis.releaseDate ? Number(analysis.releaseDate.slice(0, 4)) : null,
+    key:         analysis.key ? analysis.key.name : null,
+    camelot:     analysis.camelot ? analysis.camelot.code : null,
+    mode:        analysis.key ? analysis.key.mode : null,
+    artist:      spotify && spotify.artists,
+    title:       spotify && spotify.name,
+    album:       spotify && spotify.album
+  };
+  FEATURE_FIELDS.forEach(field => { values[field] = analysis[field]; });
+  return values;
+}
+
+function conditionMatches(condition, values) {
+  const value = values[condition.field];
+  if (value == null) return false;
+
+  if (condition.is) {
+    // Artists are a list; a track matches if any of them does
+    const candidates = Array.isArray(value) ? value : [value];
+    return candidates.some(v => condition.is.some(wanted => wanted.toLowerCase() === String(v).toLowerCase()));
+  }
+  if (condition.min != null && value < condition.min) return false;
+  if (condition.max != null && value > condition.max) return false;
+  return true;
+}
+
+function bucketLabel(bucket, value) {
+  if (value == null) return null;
+  const low = Math.floor(value / bucket.size) * bucket.size;
+  const high = low + bucket.size;
+  return `${formatNumber(low)}–${formatNumber(high)}`;
+}
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : String(Math.round(value * 10) / 10);
+}
+
+function templateValue(field, values, rule) {
+  if (field === 'bucket') return bucketLabel(rule.bucket, values[rule.bucket.field]);
+  const value = values[field];
+  if (value == null) return null;
+  if (Array.isArray(value)) return value.join(', ');
+  if (field === 'bpm') return String(Math.round(value));
+  return isNumber(value) ? formatNumber(value) : String(value);
+}
+
+// Fill `{field}` placeholders; null when a placeholder has no value for this track
+function renderTemplate(rule, values) {
+  let missing = false;
+  const name = rule.playlist.replace(/\{(\w+)\}/g, (_, field) => {
+    const value = templateValue(field, values, rule);
+    if (value == null) missing = true;
+    return value;
+  }).trim();
+  return missing || !name ? null : name.slice(0, MAX_PLAYLIST_NAME);
+}
+
+// Playlists a track lands in: [{ ruleId, playlist }], one entry per playlist name
+function evaluateRules(rules, analysis, spotify) {
+  const seen = new Set();
+  const matches = [];
+
+  rules.filter(rule => rule.enabled !== false).forEach(rule => {
+    const values = trackValues(rule, analysis, spotify);
+    const results = rule.conditions.map(c => conditionMatches(c, values));
+    const matched = rule.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+    if (!matched) return;
+    if (rule.bucket && values[rule.bucket.field] == null) return;
+
+    const playlist = renderTemplate(rule, values);
+    if (!playlist || seen.has(playlist)) return;
+    seen.add(playlist);
+    matches.push({ ruleId: rule.id, playlist });
+  });
+
+  return matches;
+}
+
+// —————————————————————————————
+// Validation
+// —————————————————————————————
+
+function normalizeCondition(condition, index) {
+  const where = `condition ${index + 1}`;
+  if (!condition || typeof condition !== 'object') throw new RuleError(`${where} must be an object`);
+
+  const { field } = condition;
+  if (NUMERIC_FIELDS.includes(field)) {
+    const { min = null, max = null } = condition;
+    if ((min !== null && !isNumber(min)) || (max !== null && !isNumber(max))) {
+      throw new RuleError(`${where}: min/max must be numbers`);
+    }
+    if (min === null && max === null) throw new RuleError(`${where}: set min and/or max for "${field}"`);
+    if (min !== null && max !== null && min > max) throw new RuleError(`${where}: min is above max`);
+    return { field, min, max };
+  }
+
+  if (TEXT_FIELDS.includes(field)) {
+    const wanted = [].concat(condition.is ?? []);
+    if (!wanted.length || wanted.some(v => typeof v !== 'string' || !v.trim())) {
+      throw new RuleError(`${where}: "is" must be a value or list of values for "${field}"`);
+    }
+    // Store canonical spellings so 'F# min' matches 'F♯ Minor'
+    const is = wanted.map(v => {
+      if (field === 'key') {
+        const key = parseKey(v);
+        if (!key) throw new RuleError(`${where}: unknown key "${v}"`);
+        return key.name;
+      }
+      if (field === 'camelot') {
+        const camelot = parseCamelot(v);
+        if (!camelot) throw new RuleError(`${where}: unknown Camelot code "${v}"`);
+        return camelot.code;
+      }
+      if (field === 'mode' && !/^(major|minor)$/i.test(v.trim())) {
+        throw new RuleError(`${where}: mode must be "major" or "minor"`);
+      }
+      return v.trim();
+    });
+    return { field, is };
+  }
+
+  throw new RuleError(`${where}: unknown field "${field}"`);
+}
+
+function normalizeRule(rule, index) {
+  const where = `Rule ${index + 1}`;
+  if (!rule || typeof rule !== 'object') throw new RuleError(`${where} must be an object`);
+
+  const playlist = typeof rule.playlist === 'string' ? rule.playlist.trim() : '';
+  if (!playlist) throw new RuleError(`${where}: a playlist name template is required`);
+
+  const placeholders = [...playlist.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+  const unknown = placeholders.find(field => !TEMPLATE_FIELDS.includes(field));
+  if (unknown) throw new RuleError(`${where}: unknown placeholder {${unknown}}`);
+
+  let bucket = null;
+  if (rule.bucket) {
+    if (!NUMERIC_FIELDS.includes(rule.bucket.field)) {
+      throw new RuleError(`${where}: buckets need a numeric field`);
+    }
+    if (!isNumber(rule.bucket.size) || rule.bucket.size <= 0) {
+      throw new RuleError(`${where}: bucket size must be a positive number`);
+    }
+    bucket = { field: rule.bucket.field, size: rule.bucket.size };
+  }
+  if (placeholders.includes('bucket') && !bucket) {
+    throw new RuleError(`${where}: {bucket} needs a bucket setting`);
+  }
+
+  let fold = null;
+  if (rule.foldBpm) {
+    const { min, max } = rule.foldBpm;
+    if (!isNumber(min) || !isNumber(max) || min <= 0 || max < min * 2) {
+      throw new RuleError(`${where}: foldBpm needs min > 0 and max of at least twice min`);
+    }
+    fold = { min, max };
+  }
+
+  if (rule.conditions != null && !Array.isArray(rule.conditions)) {
+    throw new RuleError(`${where}: conditions must be a list`);
+  }
+  const conditions = (rule.conditions || []).map((c, i) => {
+    try {
+      return normalizeCondition(c, i);
+    } catch (err) {
+      throw new RuleError(`${where}, ${err.message}`);
+    }
+  });
+  if (!conditions.length && !bucket && !placeholders.length) {
+    throw new RuleError(`${where}: without conditions every track would land in "${playlist}"`);
+  }
+
+  return {
+    id:       typeof rule.id === 'string' && rule.id ? rule.id : crypto.randomUUID(),
+    enabled:  rule.enabled !== false,
+    playlist,
+    match:    rule.match === 'any' ? 'any' : 'all',
+    conditions,
+    bucket,
+    foldBpm:  fold
+  };
+}
+
+// Throws RuleError with a user-facing message for invalid input
+function normalizeRules(rules) {
+  if (!Array.isArray(rules)) throw new RuleError('Rules must be a list');
+  if (rules.length > MAX_RULES) throw new RuleError(`At most ${MAX_RULES} rules are allowed`);
+  return rules.map(normalizeRule);
+}
+
+// —————————————————————————————
+// Storage
+// —————————————————————————————
+
+function getRuleSet(userId) {
+  return store.get(userId) || { enabled: false, rules: [] };
+}
+
+// Partial update: { enabled?, rules? }
+function saveRuleSet(userId, { enabled, rules }) {
+  const current = getRuleSet(userId);
+  return store.set(userId, {
+    enabled: enabled === undefined ? current.enabled : !!enabled,
+    rules:   rules === undefined ? current.rules : normalizeRules(rules),
+    updatedAt: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  RuleError,
+  MAX_RULES,
+  MAX_PLAYLIST_NAME,
+  NUMERIC_FIELDS,
+  TEXT_FIELDS,
+  TEMPLATE_FIELDS,
+  evaluateRules,
+  normalizeRules,
+  getRuleSet,
+  saveRuleSet
+};
@@ -0,0 +1,153 @@
+// Playlist reads and writes on behalf of a user. `spotify` is a Spotify
+// client (see spotify-client.js). Playlist lists and playlist contents are cached for a
+// few minutes so repeated auto-adds don't re-download everything, and writes
+// skip tracks that are already there.
+const { createLogger } = require('./logger');
+
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const MAX_URIS_PER_REQUEST = 100; // Spotify's limit for add/remove
+
+const userPlaylists = new Map();  // userId → { timestamp, playlists }
+const playlistTracks = new Map(); // playlistId → { timestamp, ids: Set }
+const playlistLocks = new Map();  // playlistId → tail of the write queue
+const creationLocks = new Map();  // userId + name → tail of the lookup/create queue
+
+const logger = createLogger('Playlists');
+
+function log(action, details) {
+  logger.info(action, details);
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+// Run `fn` once every earlier call with the same key has settled. Writes to
+// one playlist queue up this way, so two concurrent adds of the same track
+// can't both miss it in the cached contents.
+function withLock(locks, key, fn) {
+  const previous = locks.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(fn);
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => {
+    if (locks.get(key) === tail) locks.delete(key);
+  });
+  return run;
+}
+
+async function getUserPlaylists(userId, spotify, forceRefresh = false) {
+  const userCache = userPlaylists.get(userId);
+  const now = Date.now();
+
+  if (!forceRefresh && userCache && (now - userCache.timestamp < CACHE_TTL)) {
+    return userCache.playlists;
+  }
+
+  log('Fetching user playlists', { userId, forceRefresh });
+  const playlists = [];
+  for await (const playlist of spotify.paginate('/me/playlists', { limit: 50 })) {
+    playlists.push(playlist);
+  }
+
+  userPlaylists.set(userId, { timestamp: now, playlists });
+  return playlists;
+}
+
+// Spotify caps playlist names at 100 characters
+function fitName(name) {
+  return name.length > 100 ? name.substring(0, 97) + '...' : name;
+}
+
+// Always creates a new private playlist, even when one with the name exists
+async function createPlaylist(userId, spotify, name, description = 'Created by Song Data Analyzer') {
+  name = fitName(name);
+  log('Creating new playlist', { userId, name });
+  const newPlaylist = await spotify.post(`/users/${userId}/playlists`, { name, public: false, description });
+
+  const cached = userPlaylists.get(userId);
+  if (cached) cached.playlists.push(newPlaylist);
+  playlistTracks.set(newPlaylist.id, { timestamp: Date.now(), ids: new Set() });
+  return newPlaylist.id;
+}
+
+// Lookups for the same user and name run one at a time, so parallel callers
+// (job workers auto-adding to a new bucket playlist) share one new playlist
+// instead of each creating their own
+function getOrCreatePlaylist(userId, spotify, name) {
+  name = fitName(name);
+
+  return withLock(creationLocks, `${userId}\n${name}`, async () => {
+    let existing = (await getUserPlaylists(userId, spotify)).find(p => p.name === name);
+    if (!existing) {
+      existing = (await getUserPlaylists(userId, spotify, true)).find(p => p.name === name);
+    }
+    return existing ? existing.id : createPlaylist(userId, spotify, name);
+  });
+}
+
+// Set of track IDs currently in the playlist
+async function getPlaylistTrackIds(playlistId, spotify, forceRefresh = false) {
+  const cached = playlistTracks.get(playlistId);
+  if (!forceRefresh && cached && (Date.now() - cached.timestamp < CACHE_TTL)) {
+    return cached.ids;
+  }
+
+  const ids = new Set();
+  const items = spotify.paginate(`/playlists/${playlistId}/tracks`, { limit: 100, fields: 'items(track(id)),next' });
+  for await (const item of items) {
+    if (item.track && item.track.id) ids.add(item.track.id);
+  }
+
+  playlistTracks.set(playlistId, { timestamp: Date.now(), ids });
+  return ids;
+}
+
+// Append tracks in order, skipping ones already in the playlist (or repeated
+// in `trackIds`). Resolves to { added, skipped } track ID lists.
+function addTracksToPlaylist(playlistId, trackIds, spotify) {
+  return withLock(playlistLocks, playlistId, async () => {
+    const existing = await getPlaylistTrackIds(playlistId, spotify);
+    const added = [];
+    const skipped = [];
+    trackIds.forEach(id => {
+      if (existing.has(id) || added.includes(id)) skipped.push(id);
+      else added.push(id);
+    });
+
+    for (const ids of chunk(added, MAX_URIS_PER_REQUEST)) {
+      await spotify.post(`/playlists/${playlistId}/tracks`, { uris: ids.map(id => `spotify:track:${id}`) });
+      ids.forEach(id => existing.add(id));
+    }
+
+    log('Added tracks', { playlistId, added: added.length, skipped: skipped.length });
+    return { added, skipped };
+  });
+}
+
+// Remove every occurrence of the tracks. Resolves to { removed } track IDs.
+function removeTracksFromPlaylist(playlistId, trackIds, spotify) {
+  return withLock(playlistLocks, playlistId, async () => {
+    const ids = [...new Set(trackIds)];
+    for (const batch of chunk(ids, MAX_URIS_PER_REQUEST)) {
+      await spotify.delete(`/playlists/${playlistId}/tracks`, { tracks: batch.map(id => ({ uri: `spotify:track:${id}` })) });
+    }
+
+    const cached = playlistTracks.get(playlistId);
+    if (cached) ids.forEach(id => cached.ids.delete(id));
+
+    log('Removed tracks', { playlistId, removed: ids.length });
+    return { removed: ids };
+  });
+}
+
+module.exports = {
+  getUserPlaylists,
+  createPlaylist,
+  getOrCreatePlaylist,
+  getPlaylistTrackIds,
+  addTracksToPlaylist,
+  removeTracksFromPlaylist
+};
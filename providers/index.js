@@ -0,0 +1,120 @@
+const analysisCache = require('../analysis-cache');
+const { normalizeAnalysis } = require('../analysis-schema');
+const tunebat = require('./tunebat');
+const overrides = require('./manual-overrides');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('Providers');
+
+// A provider is { name, fields, cacheable, analyze(track) } where analyze()
+// resolves to { success, data, url?, error?, scrapeId?, retryAfter? } and `fields`
+// lists which keys of `data` it is trusted to supply. `retryAfter` (milliseconds)
+// means the provider is cooling down rather than broken.
+const registry = new Map([tunebat, overrides].map(p => [p.name, p]));
+
+// Ordered chain: earlier providers win when several supply the same field
+const DEFAULT_CHAIN = 'overrides,tunebat';
+
+function getProviderChain() {
+  const names = (process.env.ANALYSIS_PROVIDERS || DEFAULT_CHAIN)
+    .split(',')
+    .map(n => n.trim())
+    .filter(Boolean);
+
+  return names.map(name => {
+    const provider = registry.get(name);
+    if (!provider) throw new Error(`Unknown analysis provider "${name}"`);
+    return provider;
+  });
+}
+
+function hasValue(value) {
+  if (value === undefined || value === null || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+async function runProvider(provider, track) {
+  try {
+    return await provider.analyze(track);
+  } catch (err) {
+    logger.error('Provider failed', { provider: provider.name, error: err });
+    // Results reach clients (and the cache); the exception stays in the log
+    return { success: false, data: {}, error: `The ${provider.name} provider failed` };
+  }
+}
+
+// Fold raw provider results into one object, remembering which provider
+// supplied each field
+function mergeResults(chain, results) {
+  const analysis = {};
+  const sources = {};
+
+  chain.forEach(provider => {
+    const result = results[provider.name];
+    if (!result || !result.success) return;
+
+    provider.fields.forEach(field => {
+      if (field in analysis || !hasValue(result.data[field])) return;
+      analysis[field] = result.data[field];
+      sources[field] = provider.name;
+    });
+  });
+
+  return { ...analysis, sources };
+}
+
+// Run the configured chain for a Spotify track ({ id, name, artists }).
+// Results of cacheable providers are reused from the analysis cache unless
+// `force` is set.
+async function analyzeWithProviders(track, { force = false } = {}) {
+  const chain = getProviderChain();
+  const entry = force ? null : analysisCache.get(track.id);
+  const cachedResults = (entry && entry.result) || {};
+
+  const results = {};
+  const freshResults = {};
+
+  for (const provider of chain) {
+    if (provider.cacheable && cachedResults[provider.name]) {
+      results[provider.name] = cachedResults[provider.name];
+      continue;
+    }
+
+    const result = await runProvider(provider, track);
+    results[provider.name] = result;
+    // Only successful scrapes are worth keeping around
+    if (provider.cacheable && result.success) {
+      freshResults[provider.name] = result;
+    }
+  }
+
+  const cacheable = chain.filter(p => p.cacheable);
+  const cached = cacheable.length > 0 && cacheable.every(p => cachedResults[p.name]);
+
+  let analyzedAt = cached ? entry.analyzedAt : new Date().toISOString();
+  if (Object.keys(freshResults).length) {
+    analyzedAt = analysisCache.set(track.id, { ...cachedResults, ...freshResults }).analyzedAt;
+  }
+
+  const analysis = normalizeAnalysis(mergeResults(chain, results));
+  const success = Object.keys(analysis.sources).length > 0;
+  const failed = chain.find(p => !results[p.name].success && results[p.name].error);
+
+  return {
+    success,
+    analysis,
+    providers: Object.fromEntries(chain.map(p => [p.name, {
+      success: results[p.name].success,
+      url:      results[p.name].url,
+      error:    results[p.name].error,
+      scrapeId: results[p.name].scrapeId
+    }])),
+    cached,
+    analyzedAt,
+    error: success ? undefined : (failed ? results[failed.name].error : 'No provider returned data'),
+    retryAfter: success || !failed ? undefined : results[failed.name].retryAfter
+  };
+}
+
+module.exports = { analyzeWithProviders, getProviderChain, overrides };
@@ -0,0 +1,74 @@
+const { createJsonStore } = require('../json-store');
+const { FEATURE_FIELDS } = require('../analysis-schema');
+const { checkValue } = require('../validation');
+
+// Hand-entered corrections keyed by Spotify track ID. Placed first in the
+// provider chain so its values win over anything scraped.
+const store = createJsonStore('overrides.json', { label: 'Overrides' });
+
+// What each field accepts (JSON Schema, also published in /api/openapi.json).
+// An override becomes the analysis for every user, so nothing else gets in.
+const FIELD_SCHEMAS = {
+  key:         { type: 'string', format: 'musical-key', description: 'e.g. "F♯ Minor" or "Gbm"' },
+  camelot:     { type: 'string', format: 'camelot', description: 'e.g. "8A"' },
+  bpm:         { type: 'number', exclusiveMinimum: 0 },
+  duration:    {
+    type: ['number', 'string'], minimum: 0, pattern: '^\\d+(:[0-5]\\d){1,2}$',
+    description: 'Seconds, or "m:ss"'
+  },
+  releaseDate: { type: 'string', pattern: '^\\d{4}(-\\d{2}(-\\d{2})?)?$', description: 'YYYY, YYYY-MM or YYYY-MM-DD' },
+  explicit:    { type: 'boolean' },
+  loudness:    { type: 'number', description: 'dB' },
+  ...Object.fromEntries(FEATURE_FIELDS.map(field => [field, { type: 'number', minimum: 0, maximum: 100 }]))
+};
+const FIELDS = Object.keys(FIELD_SCHEMAS);
+
+class OverrideError extends Error {}
+
+function getOverride(trackId) {
+  return store.get(trackId) || null;
+}
+
+// Merges the given fields into the track's overrides; null clears a field.
+// Throws OverrideError for unknown fields and values their schema rejects.
+function setOverride(trackId, fields) {
+  const current = { ...getOverride(trackId) };
+
+  Object.entries(fields).forEach(([field, value]) => {
+    if (!FIELDS.includes(field)) throw new OverrideError(`${field} is not a field that can be corrected`);
+    if (value === null) {
+      delete current[field];
+      return;
+    }
+    const [problem] = checkValue(FIELD_SCHEMAS[field], value, field);
+    if (problem) throw new OverrideError(problem.message);
+    current[field] = value;
+  });
+
+  if (!Object.keys(current).length) {
+    store.delete(trackId);
+    return null;
+  }
+  return store.set(trackId, current);
+}
+
+function clearOverride(trackId) {
+  return store.delete(trackId);
+}
+
+module.exports = {
+  name: 'overrides',
+  cacheable: false,
+  fields: FIELDS,
+  fieldSchemas: FIELD_SCHEMAS,
+  OverrideError,
+
+  async analyze(track) {
+    const data = getOverride(track.id);
+    return { success: !!data, data: data || {} };
+  },
+
+  getOverride,
+  setOverride,
+  clearOverride
+};
@@ -0,0 +1,26 @@
+const { scrapeTunebatData } = require('../scraper-new');
+
+// Tunebat adapter: scrapes the track's tunebat.com info page
+module.exports = {
+  name: 'tunebat',
+  cacheable: true,
+  fields: [
+    'title', 'artist', 'album', 'albumArt',
+    'key', 'camelot', 'bpm', 'duration', 'releaseDate', 'explicit', 'loudness',
+    'popularity', 'energy', 'danceability', 'happiness', 'acousticness',
+    'instrumentalness', 'liveness', 'speechiness',
+    'recommendations'
+  ],
+
+  async analyze(track) {
+    const result = await scrapeTunebatData(track.artists.join(' '), track.name, track.id);
+    return {
+      success:  result.success,
+      url:      result.url,
+      data:     result.data || {},
+      error:    result.error,
+      scrapeId: result.scrapeId,
+      retryAfter: result.retryAfter
+    };
+  }
+};
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./json-store');
+const { createLogger, getContext } = require('./logger');
+
+const logger = createLogger('Diagnostics');
+
+// Diagnostic bundles for Tunebat scrapes, one directory per scrape ID under
+// DATA_DIR/scrapes:
+//   bundle.json          { id, requestId, url, track, startedAt, finishedAt,
+//                          durationMs, success, error, attempts: [attempt] }
+//   attempt-<n>.png      screenshot after the attempt's page load
+//   attempt-<n>.html     HTML snapshot of the same page
+// Each attempt is { attempt, startedAt, durationMs, outcome, reason, finalUrl,
+// artifacts: [fileName] }, where outcome is ok, security-check, rate-limited,
+// empty-metadata, timeout or error. Oldest bundles are pruned once the total
+// size passes SCRAPE_DIAGNOSTICS_MAX_MB or their count MAX_BUNDLES.
+const SCRAPES_DIR = path.join(DATA_DIR, 'scrapes');
+const MAX_BYTES   = (Number(process.env.SCRAPE_DIAGNOSTICS_MAX_MB) || 100) * 1024 * 1024;
+const MAX_BUNDLES = Number(process.env.SCRAPE_DIAGNOSTICS_MAX_BUNDLES) || 500;
+const MANIFEST    = 'bundle.json';
+
+// Bundle manifests by ID, plus their size on disk, oldest first
+const bundles = new Map();
+
+function bundleDir(id) {
+  return path.join(SCRAPES_DIR, id);
+}
+
+function directorySize(dir) {
+  return fs.readdirSync(dir).reduce((total, name) => total + fs.statSync(path.join(dir, name)).size, 0);
+}
+
+// Same, without blocking the scrape that just finished
+async function directorySizeAsync(dir) {
+  const sizes = await Promise.all((await fs.promises.readdir(dir)).map(async name =>
+    (await fs.promises.stat(path.join(dir, name))).size));
+  return sizes.reduce((total, size) => total + size, 0);
+}
+
+function loadBundles() {
+  let ids = [];
+  try {
+    ids = fs.readdirSync(SCRAPES_DIR);
+  } catch (err) {
+    if (err.code !== 'ENOENT') logger.error('Failed to read bundles', { dir: SCRAPES_DIR, error: err.message });
+    return;
+  }
+
+  const loaded = [];
+  ids.forEach(id => {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(path.join(bundleDir(id), MANIFEST), 'utf8'));
+      loaded.push({ manifest, bytes: directorySize(bundleDir(id)) });
+    } catch (err) {
+      // Half-written bundle from a crash; nothing worth keeping
+      fs.rmSync(bundleDir(id), { recursive: true, force: true });
+    }
+  });
+  loaded
+    .sort((a, b) => a.manifest.startedAt.localeCompare(b.manifest.startedAt))
+    .forEach(entry => bundles.set(entry.manifest.id, entry));
+  if (loaded.length) logger.info('Loaded scrape bundles', { count: loaded.length });
+}
+
+function totalBytes() {
+  let total = 0;
+  bundles.forEach(entry => { total += entry.bytes; });
+  return total;
+}
+
+// Bundles leave the index before their files go, so parallel prunes never
+// pick the same one
+async function prune() {
+  let total = totalBytes();
+  for (const [id, entry] of bundles) {
+    if (total <= MAX_BYTES && bundles.size <= MAX_BUNDLES) break;
+    bundles.delete(id);
+    total -= entry.bytes;
+    await fs.promises.rm(bundleDir(id), { recursive: true, force: true });
+  }
+}
+
+// Start recording a scrape of `url` for `track` ({ spotifyId, artist, title }).
+// Recording never throws: a diagnostics problem must not fail the scrape.
+// Files are written with fs.promises so a capture doesn't stall the server.
+function createScrapeRecorder({ url, track }) {
+  const startedAt = Date.now();
+  const manifest = {
+    id:         crypto.randomUUID(),
+    // The HTTP request (or watcher poll) that set the scrape off
+    requestId:  getContext().requestId || null,
+    url,
+    track,
+    startedAt:  new Date(startedAt).toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    success:    null,
+    error:      null,
+    attempts:   []
+  };
+  let dirReady = false;
+
+  async function writeArtifact(name, data) {
+    if (!dirReady) {
+      await fs.promises.mkdir(bundleDir(manifest.id), { recursive: true });
+      dirReady = true;
+    }
+    await fs.promises.writeFile(path.join(bundleDir(manifest.id), name), data);
+  }
+
+  // One navigation attempt; call finish() once its outcome is known
+  function startAttempt() {
+    const attempt = {
+      attempt:    manifest.attempts.length + 1,
+      startedAt:  new Date().toISOString(),
+      durationMs: null,
+      outcome:    null,
+      reason:     null,
+      finalUrl:   null,
+      artifacts:  []
+    };
+    manifest.attempts.push(attempt);
+    const began = Date.now();
+
+    return {
+      // Screenshot and HTML of the page as it is now
+      async capture(page, html) {
+        const base = `attempt-${attempt.attempt}`;
+        try {
+          attempt.finalUrl = page.url();
+          await writeArtifact(`${base}.html`, html ?? await page.content());
+          attempt.artifacts.push(`${base}.html`);
+          // Pages from fetch-page-pool.js can't take one
+          if (!page.screenshot) return;
+          await writeArtifact(`${base}.png`, await page.screenshot({ fullPage: true }));
+          attempt.artifacts.push(`${base}.png`);
+        } catch (err) {
+          logger.error('Capture failed', { scrapeId: manifest.id, error: err.message });
+        }
+      },
+
+      finish(outcome, reason = null) {
+        attempt.durationMs = Date.now() - began;
+        attempt.outcome = outcome;
+        attempt.reason = reason;
+      }
+    };
+  }
+
+  // Write the manifest and apply the retention cap; never rejects
+  async function finish({ success, error = null }) {
+    manifest.finishedAt = new Date().toISOString();
+    manifest.durationMs = Date.now() - startedAt;
+    manifest.success = success;
+    manifest.error = error;
+    try {
+      await writeArtifact(MANIFEST, JSON.stringify(manifest, null, 2));
+      bundles.set(manifest.id, { manifest, bytes: await directorySizeAsync(bundleDir(manifest.id)) });
+      await prune();
+    } catch (err) {
+      logger.error('Failed to save bundle', { scrapeId: manifest.id, error: err.message });
+    }
+  }
+
+  return { id: manifest.id, startAttempt, finish };
+}
+
+function summarize({ manifest, bytes }) {
+  const { attempts, ...rest } = manifest;
+  return {
+    ...rest,
+    bytes,
+    attempts: attempts.length,
+    outcomes: attempts.map(a => a.outcome)
+  };
+}
+
+// Newest first. `status`: failed (default), succeeded or all.
+function listScrapes({ status = 'failed', limit = 50 } = {}) {
+  const entries = [...bundles.values()].reverse().filter(({ manifest }) =>
+    status === 'all' || (status === 'failed' ? !manifest.success : manifest.success));
+  return {
+    total:     entries.length,
+    bytes:     totalBytes(),
+    maxBytes:  MAX_BYTES,
+    scrapes:   entries.slice(0, limit).map(summarize)
+  };
+}
+
+function getScrape(id) {
+  const entry = bundles.get(id);
+  return entry ? entry.manifest : null;
+}
+
+// Absolute path of one of a bundle's files, or null. Only names the
+// manifest lists are served, so IDs and names can't walk out of SCRAPES_DIR.
+function getArtifactPath(id, name) {
+  const manifest = getScrape(id);
+  if (!manifest) return null;
+  const known = name === MANIFEST || manifest.attempts.some(a => a.artifacts.includes(name));
+  return known ? path.join(bundleDir(id), name) : null;
+}
+
+loadBundles();
+
+module.exports = {
+  createScrapeRecorder,
+  listScrapes,
+  getScrape,
+  getArtifactPath
+};
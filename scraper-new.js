@@ -1,270 +1,208 @@
-const puppeteer = require('puppeteer');
-const { exec } = require("node:child_process")
-const { promisify } = require("node:util")
-
-async function scrapeTunebatData(artistName, songName, spotifyTrackId) {
-  const { stdout: chromiumPath } = await promisify(exec)("which chromium");
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    executablePath: chromiumPath.trim(),
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--no-first-run',
-      '--no-zygote',
-      '--single-process',
-      '--disable-gpu',
-      '--window-size=1920,1080',
-      '--disable-web-security',
-      '--disable-features=VizDisplayCompositor',
-      '--enable-javascript',
-      '--disable-blink-features=AutomationControlled'  // Hide automation
-    ],
-    ignoreHTTPSErrors: true
+const { createBrowserPool } = require('./browser-pool');
+const { createFetchPagePool } = require('./fetch-page-pool');
+const { parseTunebatPage, detectBlockPage } = require('./tunebat-parser');
+const { createScrapeRecorder } = require('./scrape-diagnostics');
+const { createCrawlScheduler, CrawlCooldownError } = require('./crawl-scheduler');
+const { createLogger } = require('./logger');
+const { scrapes, retries: retryMetric } = require('./metrics');
+
+const logger = createLogger('Scraper');
+
+const MAX_CONCURRENCY = Number(process.env.SCRAPER_MAX_CONCURRENCY) || 2;
+const MAX_ATTEMPTS = 3;
+// Overridable so scraping can run against the local mock (see mock/)
+const TUNEBAT_BASE_URL = (process.env.TUNEBAT_BASE_URL || 'https://tunebat.com').replace(/\/+$/, '');
+// 'browser' (Puppeteer) or 'fetch', which loads pages without running them
+// and only suits the mock (see fetch-page-pool.js)
+const PAGE_SOURCE = process.env.TUNEBAT_PAGE_SOURCE === 'fetch' ? 'fetch' : 'browser';
+
+// One-time setup for every pooled page
+async function setupPage(page) {
+  // Set a more realistic browser environment
+  await page.setViewport({ width: 1920, height: 1080 });
+  await page.setUserAgent(
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) ' +
+    'AppleWebKit/537.36 (KHTML, like Gecko) ' +
+    'Chrome/120.0.0.0 Safari/537.36'
+  );
+
+  // Set headers to look more like a real browser
+  await page.setExtraHTTPHeaders({
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
+    'DNT': '1',
+    'Connection': 'keep-alive',
+    'Upgrade-Insecure-Requests': '1'
   });
 
-  try {
-    const page = await browser.newPage();
-    
-    // Set a more realistic browser environment
-    await page.setViewport({ width: 1920, height: 1080 });
-    await page.setUserAgent(
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) ' +
-      'AppleWebKit/537.36 (KHTML, like Gecko) ' +
-      'Chrome/120.0.0.0 Safari/537.36'
+  // Override the navigator.webdriver property to avoid detection
+  await page.evaluateOnNewDocument(() => {
+    delete Object.getPrototypeOf(navigator).webdriver;
+    window.chrome = { runtime: {} };
+    window.navigator.chrome = { runtime: {} };
+
+    // Add more browser-like properties
+    const originalQuery = window.navigator.permissions.query;
+    window.navigator.permissions.query = (parameters) => (
+      parameters.name === 'notifications' ?
+        Promise.resolve({ state: Notification.permission }) :
+        originalQuery(parameters)
     );
-    
-    // Set headers to look more like a real browser
-    await page.setExtraHTTPHeaders({
-      'Accept-Language': 'en-US,en;q=0.9',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
-      'DNT': '1',
-      'Connection': 'keep-alive',
-      'Upgrade-Insecure-Requests': '1'
-    });
 
-    // Override the navigator.webdriver property to avoid detection
-    await page.evaluateOnNewDocument(() => {
-      delete Object.getPrototypeOf(navigator).webdriver;
-      window.chrome = { runtime: {} };
-      window.navigator.chrome = { runtime: {} };
-      
-      // Add more browser-like properties
-      const originalQuery = window.navigator.permissions.query;
-      window.navigator.permissions.query = (parameters) => (
-        parameters.name === 'notifications' ?
-          Promise.resolve({ state: Notification.permission }) :
-          originalQuery(parameters)
-      );
-      
-      // Pass webdriver checks
-      Object.defineProperty(navigator, 'webdriver', {
-        get: () => undefined,
-      });
+    // Pass webdriver checks
+    Object.defineProperty(navigator, 'webdriver', {
+      get: () => undefined,
     });
+  });
+}
 
-    // Format the URL segments
-    const fmt = text => text
-      .replace(/[^\w\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .replace(/^-+|-+$/g, '');
-
-    const url = `https://tunebat.com/Info/${fmt(songName)}-${fmt(artistName)}/${spotifyTrackId}`;
-    console.log(`[Scraper] Navigating to ${url}`);
-
-    // Navigate with retries
-    let retries = 3;
-    let pageData = null;
-
-    while (retries > 0) {
-      try {
-        await page.goto(url, {
-          waitUntil: 'networkidle0',
-          timeout: 30000
-        });
-
-        // Add random delays between actions to appear more human-like
-                                  await new Promise(resolve => setTimeout(resolve, 3956 + Math.random() * 1487));
-        
-        // Check if we hit a security check or error page
-        const content = await page.content();
-        if (content.includes('security check') || content.includes('Too Many Requests')) {
-          console.log('[Scraper] Hit security check, retrying...');
-          await new Promise(resolve => setTimeout(resolve, 4000 + Math.random() * 2000));
-          retries--;
-          continue;
-        }
-
-        // Save debug screenshot
-        await page.screenshot({ path: 'debug.png' });
+const pool = PAGE_SOURCE === 'fetch'
+  ? createFetchPagePool({ maxConcurrency: MAX_CONCURRENCY })
+  : createBrowserPool({ maxConcurrency: MAX_CONCURRENCY, setupPage });
 
-        // Extract data with more specific selectors
-        pageData = await page.evaluate(() => {
-          const data = {
-            title: '',
-            artist: '',
-            album: '',
-            key: '',
-            camelot: '',
-            bpm: '',
-            duration: '',
-            releaseDate: '',
-            explicit: false,
-            popularity: '',
-            energy: '',
-            danceability: '',
-            happiness: '',
-            acousticness: '',
-            instrumentalness: '',
-            liveness: '',
-            speechiness: '',
-            loudness: '',
-            albumArt: ''
-          };
+// Shared by every user's scrapes, so together they stay polite to Tunebat
+const scheduler = createCrawlScheduler({
+  requestsPerMinute: Number(process.env.SCRAPER_REQUESTS_PER_MINUTE) || 12,
+  breakerThreshold:  Number(process.env.SCRAPER_BREAKER_THRESHOLD) || 3,
+  cooldownMs:        (Number(process.env.SCRAPER_BREAKER_COOLDOWN_SEC) || 300) * 1000
+});
 
-          // Helper: Try multiple selectors
-          const getElement = (selectors) => {
-            for (const selector of (Array.isArray(selectors) ? selectors : [selectors])) {
-              const element = document.querySelector(selector);
-              if (element) return element;
-            }
-            return null;
-          };
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-          // Helper: Get text content safely
-          const getText = (selectors) => {
-            const element = getElement(selectors);
-            return element ? element.textContent.trim() : '';
-          };
+function tunebatUrl(artistName, songName, spotifyTrackId) {
+  // Format the URL segments
+  const fmt = text => text
+    .replace(/[^\w\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-+|-+$/g, '');
 
-          // Helper: Find text with pattern
-          const findText = (pattern) => {
-            const text = document.body.textContent || '';
-            const match = text.match(pattern);
-            return match ? match[1].trim() : '';
-          };
+  return `${TUNEBAT_BASE_URL}/Info/${fmt(songName)}-${fmt(artistName)}/${spotifyTrackId}`;
+}
 
-          // Try to get key metadata first
-          const metaResults = [
-            ['title', ['h1', '[class*="title"]', '[class*="name"]']],
-            ['artist', ['.artist-name', '[class*="artist"]', '[class*="performer"]']],
-            ['album', ['.album-name', '[class*="album"]']]
-          ].map(([key, selectors]) => {
-            data[key] = getText(selectors);
-            return !!data[key];
-          });
+// Every call records a diagnostics bundle (see scrape-diagnostics.js); the
+// result's `scrapeId` points at it. While the crawl scheduler holds Tunebat
+// back, the result has `retryAfter` (milliseconds) instead.
+async function scrapeTunebatData(artistName, songName, spotifyTrackId) {
+  const url = tunebatUrl(artistName, songName, spotifyTrackId);
 
-          // If we couldn't find basic metadata, page probably didn't load properly
-          if (!metaResults.some(r => r)) {
-            return null;
-          }
+  // Don't borrow a page (or start a bundle) while the circuit is open
+  try {
+    scheduler.checkOpen(new URL(url).host);
+  } catch (err) {
+    scrapes.inc({ outcome: 'skipped', reason: err.reason });
+    return cooldownResult(url, err);
+  }
 
-          // Find album art
-          const albumArt = getElement('img[alt*="album"], img[alt*="Album"], img[src*="album"]');
-          data.albumArt = albumArt ? albumArt.src : '';
+  const recorder = createScrapeRecorder({
+    url,
+    track: { spotifyId: spotifyTrackId, artist: artistName, title: songName }
+  });
 
-          // Musical attributes with different possible formats
-          [
-            ['key', /Key:\s*([A-G][♯♭]?\s*(?:Major|Minor|maj|min))/i, /([A-G][♯♭]?\s*(?:Major|Minor|maj|min))/i],
-            ['camelot', /Camelot:\s*(\d+[AB])/i, /(\d+[AB])/],
-            ['bpm', /BPM:\s*(\d+)/i, /Tempo:\s*(\d+)/i, /(\d+)\s*BPM/i],
-            ['duration', /Duration:\s*(\d+:\d+)/i],            ['releaseDate', /Release Date:\s*([A-Za-z]+\s+\d{1,2},?\s+\d{4})/i],
-            ['popularity', /(\d+)\s*(?:\/\s*\d+)?\s*Popularity/i],
-            ['energy', /(\d+)\s*(?:\/\s*\d+)?\s*Energy/i],
-            ['danceability', /(\d+)\s*(?:\/\s*\d+)?\s*Danceability/i],
-            ['happiness', /(\d+)\s*(?:\/\s*\d+)?\s*Happiness/i],
-            ['acousticness', /(\d+)\s*(?:\/\s*\d+)?\s*Acousticness/i],
-            ['instrumentalness', /(\d+)\s*(?:\/\s*\d+)?\s*Instrumentalness/i],
-            ['liveness', /(\d+)\s*(?:\/\s*\d+)?\s*Liveness/i],
-            ['speechiness', /(\d+)\s*(?:\/\s*\d+)?\s*Speechiness/i],
-            ['loudness', /([-]?\d+(?:\.\d+)?)\s*(?:dB)?\s*Loudness/i]
-          ].forEach(([key, ...patterns]) => {
-            for (const pattern of patterns) {
-              const value = findText(pattern);
-              if (value) {
-                data[key] = value;
-                break;
-              }
-            }
-          });          // Look for explicit tag
-          data.explicit = /Explicit:\s*Yes/i.test(document.body.textContent);
+  let result;
+  try {
+    result = await scrapeWithRetries(url, recorder);
+  } catch (err) {
+    if (err instanceof CrawlCooldownError) {
+      logger.warn('Scrape stopped, scraper cooling down', { scrapeId: recorder.id, reason: err.reason });
+      result = { ...cooldownResult(url, err), reason: err.reason };
+    } else {
+      logger.error('Fatal error', { scrapeId: recorder.id, error: err });
+      // The exception (browser launch failures name local paths) stays in
+      // the log and the diagnostics bundle; callers get the scrape ID
+      result = {
+        success: false, url, data: {}, error: 'The scraper failed before reaching Tunebat', reason: 'fatal', detail: err.message
+      };
+    }
+  }
 
-          // Extract recommended tracks
-          const recommendations = [];
-          const recommendedTracks = document.querySelectorAll('.ant-row.pDoqI');
-          recommendedTracks.forEach(track => {
-            try {
-              const title = track.querySelector('.aZDDf')?.textContent?.trim() || '';
-              const artist = track.querySelector('._2zAVA')?.textContent?.trim() || '';
-              const spotifyLink = track.querySelector('.NWuk-[href*="spotify.com"]')?.href || '';
-              const trackId = spotifyLink.split('/').pop();
-              const key = track.querySelector('.lAjUd')?.textContent?.trim() || '';
-              const bpm = track.querySelectorAll('.lAjUd')[1]?.textContent?.trim() || '';
-              const camelot = track.querySelectorAll('.lAjUd')[2]?.textContent?.trim() || '';
-              const popularity = track.querySelectorAll('.lAjUd')[3]?.textContent?.trim() || '';
-              const albumArt = track.querySelector('img')?.src || '';
+  await recorder.finish({ success: result.success, error: result.detail || result.error || null });
+  scrapes.inc({ outcome: result.success ? 'success' : 'failure', reason: result.reason });
+  const { reason, detail, ...rest } = result;
+  return { ...rest, scrapeId: recorder.id };
+}
 
-              if (trackId) {
-                recommendations.push({
-                  title,
-                  artist,
-                  spotifyId: trackId,
-                  key,
-                  bpm,
-                  camelot,
-                  popularity,
-                  albumArt
-                });
-              }
-            } catch (e) {
-              console.error('Error parsing recommendation:', e);
-            }
-          });
+function cooldownResult(url, err) {
+  return { success: false, url, data: {}, error: err.message, retryAfter: err.retryAfter };
+}
 
-          data.recommendations = recommendations;
+// Throws CrawlCooldownError when the scheduler turns a (re)try away. Each
+// attempt reserves its request slot before borrowing a page, so a scrape
+// waiting on the budget doesn't hold one of the pool's pages.
+async function scrapeWithRetries(url, recorder) {
+  const host = new URL(url).host;
+  logger.info('Navigating', { url, scrapeId: recorder.id });
+
+  let pageData = null;
+  let reason = null; // outcome of the last attempt
+
+  for (let n = 1; n <= MAX_ATTEMPTS && !pageData; n++) {
+    if (reason) {
+      scheduler.checkOpen(host);
+      retryMetric.inc({ component: 'scraper', reason });
+      await sleep(scheduler.backoff(n - 1));
+    }
+    const ticket = await scheduler.acquire(host);
+    ({ pageData, reason } = await pool.withPage(page => scrapeAttempt(page, url, recorder, ticket)));
+  }
 
-          return data;
-        });
+  return {
+    success: !!pageData,
+    url,
+    data: pageData || {},
+    error: !pageData ? 'Failed to extract data' : undefined,
+    reason
+  };
+}
 
-        if (pageData) {
-          console.log('[Scraper] Successfully extracted data');
-          break;
-        }
+// One navigation under the scheduler `ticket`; resolves to { pageData, reason }
+async function scrapeAttempt(page, url, recorder, ticket) {
+  const host = new URL(url).host;
+  const attempt = recorder.startAttempt();
+  try {
+    await page.goto(url, {
+      waitUntil: 'networkidle0',
+      timeout: 30000
+    });
 
-        console.log('[Scraper] No data found, retrying...');
-        retries--;
-                                  await new Promise(resolve => setTimeout(resolve, 2500 + Math.random() * 1000))
+    // Add random delays between actions to appear more human-like
+    if (PAGE_SOURCE === 'browser') await sleep(3956 + Math.random() * 1487);
+
+    // Check if we hit a security check or error page
+    const content = await page.content();
+    await attempt.capture(page, content);
+    const blocked = detectBlockPage(content);
+    if (blocked) {
+      logger.warn('Blocked', { scrapeId: recorder.id, reason: blocked });
+      attempt.finish(blocked, `Tunebat served a ${blocked} page`);
+      scheduler.recordBlock(host, ticket);
+      return { pageData: null, reason: blocked };
+    }
+    scheduler.recordSuccess(host, ticket);
 
-      } catch (err) {
-        console.log('[Scraper] Error:', err.message);
-        retries--;
-        if (retries > 0) {
-                                    await new Promise(resolve => setTimeout(resolve, 4500 + Math.random() * 1500));
-        }
-      }
+    const pageData = parseTunebatPage(content, page.url());
+    if (pageData) {
+      logger.info('Extracted data', { scrapeId: recorder.id });
+      attempt.finish('ok');
+      return { pageData, reason: 'ok' };
     }
 
-    return {
-      success: !!pageData,
-      url,
-      data: pageData || {},
-      error: !pageData ? 'Failed to extract data' : undefined,
-      debugImagePath: 'debug.png'
-    };
+    logger.warn('No data found', { scrapeId: recorder.id });
+    attempt.finish('empty-metadata', 'No track metadata found on the page');
+    return { pageData: null, reason: 'empty-metadata' };
 
   } catch (err) {
-    console.error('[Scraper] Fatal error:', err);
-    return {
-      success: false,
-      error: err.message,
-      debugImagePath: 'debug.png'
-    };
-  } finally {
-    await browser.close();
+    const reason = err.name === 'TimeoutError' ? 'timeout' : 'error';
+    logger.warn('Attempt failed', { scrapeId: recorder.id, reason, error: err.message });
+    await attempt.capture(page);
+    attempt.finish(reason, err.message);
+    return { pageData: null, reason };
   }
 }
 
-module.exports = { scrapeTunebatData };
+module.exports = {
+  scrapeTunebatData,
+  getScraperPoolStats: pool.getStats,
+  getCrawlStats:       scheduler.getStats,
+  shutdownScraper:     pool.shutdown
+};
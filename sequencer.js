@@ -0,0 +1,126 @@
+const { rateTransition } = require('./harmonic');
+
+// Target energy over the course of a set, as a 0–1 shape over t = 0…1.
+// Shapes are stretched over the set's own energy range, so a mellow playlist
+// still gets a (mellow) peak.
+const ENERGY_CURVES = {
+  'warmup-peak-cooldown': { label: 'Warm-up → peak → cool-down', shape: t => (t < 0.7 ? t / 0.7 : 1 - ((t - 0.7) / 0.3) * 0.6) },
+  'build':                { label: 'Steady build',               shape: t => t },
+  'peak':                 { label: 'Peak time',                  shape: t => 0.75 + 0.25 * Math.sin(t * Math.PI) },
+  'cooldown':             { label: 'Cool-down',                  shape: t => 1 - t },
+  'waves':                { label: 'Waves',                      shape: t => 0.5 - 0.5 * Math.cos(t * 4 * Math.PI) },
+  'none':                 { label: 'Ignore energy',              shape: null }
+};
+
+// Transitions matter more than hitting the curve exactly
+const TRANSITION_WEIGHT = 0.7;
+const ENERGY_WEIGHT = 0.3;
+const MAX_SWAP_ITERATIONS = 200000;
+
+function energyTargets(tracks, curve) {
+  const energies = tracks.map(t => t.energy).filter(e => e != null);
+  if (!curve.shape || !energies.length) return tracks.map(() => null);
+
+  const low = Math.min(...energies);
+  const high = Math.max(...energies);
+  const n = tracks.length;
+  return tracks.map((_, i) => low + (high - low) * curve.shape(n > 1 ? i / (n - 1) : 0));
+}
+
+// 0–100: how close a track's energy is to the target for its slot
+function energyFit(track, target) {
+  if (target == null || track.energy == null) return 50;
+  return Math.max(0, 100 - Math.abs(track.energy - target) * 2);
+}
+
+// Order `tracks` ({ spotifyId, camelot, bpm, energy, ... }) into a set.
+// Greedy pass first (best next transition + energy fit), then random swaps
+// that only keep improvements. `firstId`/`lastId` pin the ends.
+function sequenceSet(tracks, { curve = 'warmup-peak-cooldown', firstId = null, lastId = null, tolerance } = {}) {
+  const energyCurve = ENERGY_CURVES[curve];
+  if (!energyCurve) throw new Error(`Unknown energy curve "${curve}"`);
+
+  const n = tracks.length;
+  if (n < 2) {
+    return { curve, tracks, transitions: [], averageScore: null };
+  }
+
+  const targets = energyTargets(tracks, energyCurve);
+  const index = new Map(tracks.map((t, i) => [t.spotifyId, i]));
+  const first = firstId != null && index.has(firstId) ? index.get(firstId) : null;
+  const last = lastId != null && index.has(lastId) && index.get(lastId) !== first ? index.get(lastId) : null;
+
+  // Transition scores between every pair, computed once
+  const scores = tracks.map(a => tracks.map(b => (a === b ? 0 : rateTransition(a, b, { tolerance }).score)));
+
+  // Greedy construction
+  const remaining = new Set(tracks.map((_, i) => i));
+  const order = [];
+  const take = i => { order.push(i); remaining.delete(i); };
+
+  if (first !== null) {
+    take(first);
+  } else {
+    const candidates = [...remaining].filter(i => i !== last);
+    take(candidates.reduce((best, i) => (energyFit(tracks[i], targets[0]) > energyFit(tracks[best], targets[0]) ? i : best)));
+  }
+  if (last !== null) remaining.delete(last);
+
+  while (remaining.size) {
+    const prev = order[order.length - 1];
+    const slot = order.length;
+    let best = null;
+    let bestValue = -Infinity;
+    remaining.forEach(i => {
+      const value = scores[prev][i] * TRANSITION_WEIGHT + energyFit(tracks[i], targets[slot]) * ENERGY_WEIGHT;
+      if (value > bestValue) {
+        bestValue = value;
+        best = i;
+      }
+    });
+    take(best);
+  }
+  if (last !== null) order.push(last);
+
+  // Local search: swap two free slots when it improves the affected terms
+  const lockedStart = first !== null ? 1 : 0;
+  const lockedEnd = last !== null ? n - 2 : n - 1;
+  const free = lockedEnd - lockedStart + 1;
+
+  const slotValue = pos => {
+    let value = energyFit(tracks[order[pos]], targets[pos]) * ENERGY_WEIGHT;
+    if (pos > 0) value += scores[order[pos - 1]][order[pos]] * TRANSITION_WEIGHT;
+    if (pos < n - 1) value += scores[order[pos]][order[pos + 1]] * TRANSITION_WEIGHT;
+    return value;
+  };
+  const swapValue = (a, b) => (Math.abs(a - b) === 1
+    // Neighbours share a transition; count it once
+    ? slotValue(a) + slotValue(b) - scores[order[Math.min(a, b)]][order[Math.max(a, b)]] * TRANSITION_WEIGHT
+    : slotValue(a) + slotValue(b));
+
+  if (free > 2) {
+    const iterations = Math.min(MAX_SWAP_ITERATIONS, free * free * 4);
+    for (let k = 0; k < iterations; k++) {
+      const a = lockedStart + Math.floor(Math.random() * free);
+      const b = lockedStart + Math.floor(Math.random() * free);
+      if (a === b) continue;
+
+      const before = swapValue(a, b);
+      [order[a], order[b]] = [order[b], order[a]];
+      if (swapValue(a, b) <= before) {
+        [order[a], order[b]] = [order[b], order[a]];
+      }
+    }
+  }
+
+  const ordered = order.map((i, pos) => ({ ...tracks[i], targetEnergy: targets[pos] == null ? null : Math.round(targets[pos]) }));
+  const transitions = ordered.slice(1).map((to, pos) => {
+    const from = ordered[pos];
+    return { from: from.spotifyId, to: to.spotifyId, ...rateTransition(from, to, { tolerance }) };
+  });
+  const averageScore = Math.round(transitions.reduce((sum, t) => sum + t.score, 0) / transitions.length);
+
+  return { curve, tracks: ordered, transitions, averageScore };
+}
+
+module.exports = { ENERGY_CURVES, sequenceSet };
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+// In-memory log of what each browser session analyzed, keyed by an opaque
+// `sid` cookie. Backs "export current session"; it is not meant to persist.
+const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours
+const MAX_SESSION_TRACKS = 1000;
+
+const sessions = new Map();
+
+// Express middleware: make sure every request carries a session ID
+function sessionMiddleware(req, res, next) {
+  let sid = req.cookies.sid;
+  if (!sid || !/^[a-f0-9-]{36}$/.test(sid)) {
+    sid = crypto.randomUUID();
+    res.cookie('sid', sid, {
+      httpOnly: true,
+      secure:   process.env.NODE_ENV === 'production',
+      sameSite: 'lax'
+    });
+  }
+  req.sessionId = sid;
+  next();
+}
+
+// Remember a successful analysis ({ spotify, analysis, analyzedAt }) for a session
+function recordAnalysis(sid, record) {
+  if (!sid || !record.success) return;
+
+  let session = sessions.get(sid);
+  if (!session) {
+    session = { tracks: new Map() };
+    sessions.set(sid, session);
+  }
+  session.updatedAt = Date.now();
+
+  // Re-analyzing a track moves it to the end with the newest data
+  session.tracks.delete(record.spotify.id);
+  session.tracks.set(record.spotify.id, {
+    spotify:    record.spotify,
+    analysis:   record.analysis,
+    analyzedAt: record.analyzedAt
+  });
+
+  if (session.tracks.size > MAX_SESSION_TRACKS) {
+    session.tracks.delete(session.tracks.keys().next().value);
+  }
+}
+
+function getSessionAnalyses(sid) {
+  const session = sessions.get(sid);
+  return session ? [...session.tracks.values()] : [];
+}
+
+setInterval(() => {
+  const cutoff = Date.now() - SESSION_TTL;
+  for (const [sid, session] of sessions) {
+    if (session.updatedAt < cutoff) sessions.delete(sid);
+  }
+}, 60 * 60 * 1000).unref();
+
+module.exports = { sessionMiddleware, recordAnalysis, getSessionAnalyses };
@@ -0,0 +1,240 @@
+const fetch = require('@replit/node-fetch');
+const crypto = require('crypto');
+const querystring = require('querystring');
+const { createSpotifyClient } = require('./spotify-client');
+const { getCredential, pickCredential, markRateLimited } = require('./spotify-credentials');
+const { createLogger } = require('./logger');
+const { sendError } = require('./api-errors');
+
+const logger = createLogger('Auth');
+
+// Overridable so the app can run against a local mock (see mock/)
+const SPOTIFY_ACCOUNTS_BASE = (process.env.SPOTIFY_ACCOUNTS_BASE || 'https://accounts.spotify.com').replace(/\/+$/, '');
+const SPOTIFY_TOKEN_URL     = `${SPOTIFY_ACCOUNTS_BASE}/api/token`;
+
+const REFRESH_COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+// How long a user has to get through Spotify's consent screen
+const LOGIN_STATE_TTL = 10 * 60 * 1000;
+
+// POST to the token endpoint as the app `clientId`; resolves to the token JSON.
+// PKCE apps identify themselves in the body instead of with their secret.
+async function requestToken(params, clientId) {
+  const credential = getCredential(clientId);
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (credential.pkce) {
+    params = { ...params, client_id: credential.clientId };
+  } else {
+    headers['Authorization'] = 'Basic ' +
+      Buffer.from(`${credential.clientId}:${credential.clientSecret}`).toString('base64');
+  }
+
+  const response = await fetch(SPOTIFY_TOKEN_URL, {
+    method: 'POST',
+    headers,
+    body: querystring.stringify(params)
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    if (response.status === 429) {
+      markRateLimited(credential.clientId, Number(response.headers.get('retry-after')) * 1000 || null);
+    }
+    const err = new Error(data.error_description || data.error || 'Token request failed');
+    err.status = response.status;
+    throw err;
+  }
+  return data;
+}
+
+function refreshAccessToken(refreshToken, clientId) {
+  return requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken }, clientId);
+}
+
+// —————————————————————————————
+// Login (Authorization Code, with PKCE for apps that use it)
+// —————————————————————————————
+
+// Pending logins by OAuth state: state → { clientId, redirectUri, codeVerifier, expires }
+const pendingLogins = new Map();
+
+function sweepPendingLogins() {
+  const now = Date.now();
+  for (const [state, login] of pendingLogins) {
+    if (login.expires <= now) pendingLogins.delete(state);
+  }
+}
+
+function base64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Pick an app for a new login and return the Spotify authorize URL for it.
+// The redirect URI has to be sent again with the code, so it is kept too.
+function createLoginUrl({ redirectUri, scope }) {
+  sweepPendingLogins();
+
+  const credential = pickCredential();
+  const state = base64Url(crypto.randomBytes(16));
+  const login = { clientId: credential.clientId, redirectUri, codeVerifier: null, expires: Date.now() + LOGIN_STATE_TTL };
+  const params = {
+    response_type: 'code',
+    client_id:     credential.clientId,
+    scope,
+    redirect_uri:  redirectUri,
+    state
+  };
+  if (credential.pkce) {
+    login.codeVerifier = base64Url(crypto.randomBytes(48));
+    params.code_challenge_method = 'S256';
+    params.code_challenge = base64Url(crypto.createHash('sha256').update(login.codeVerifier).digest());
+  }
+
+  pendingLogins.set(state, login);
+  return `${SPOTIFY_ACCOUNTS_BASE}/authorize?` + querystring.stringify(params);
+}
+
+// The pending login for a callback's state, used up; null when unknown or expired
+function consumeLoginState(state) {
+  const login = state && pendingLogins.get(state);
+  if (!login) return null;
+  pendingLogins.delete(state);
+  return login.expires > Date.now() ? login : null;
+}
+
+// Trade the callback's code for tokens with the app the login started on
+function exchangeCode(code, login) {
+  const params = { grant_type: 'authorization_code', code, redirect_uri: login.redirectUri };
+  if (login.codeVerifier) params.code_verifier = login.codeVerifier;
+  return requestToken(params, login.clientId);
+}
+
+// —————————————————————————————
+// Cookies
+// —————————————————————————————
+
+// Secure, HTTP-only cookies. Spotify may rotate the refresh token; keep the
+// new one. `clientId` records which app the tokens belong to.
+function setAuthCookies(res, tokenData, clientId) {
+  const options = { httpOnly: true, secure: process.env.NODE_ENV === 'production' };
+  res.cookie('access_token', tokenData.access_token, { ...options, maxAge: tokenData.expires_in * 1000 });
+  if (tokenData.refresh_token) {
+    res.cookie('refresh_token', tokenData.refresh_token, { ...options, maxAge: REFRESH_COOKIE_MAX_AGE });
+  }
+  if (clientId) {
+    res.cookie('spotify_app', clientId, { ...options, maxAge: REFRESH_COOKIE_MAX_AGE });
+  }
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie('access_token');
+  res.clearCookie('refresh_token');
+  res.clearCookie('spotify_app');
+}
+
+// —————————————————————————————
+// Token sessions
+// —————————————————————————————
+
+// Holds a user's tokens and returns a Spotify client (see spotify-client.js)
+// whose calls are authorized with them. A missing access token is refreshed up
+// front; a 401 from Spotify triggers one refresh and a single retry.
+// `clientId` is the app the tokens belong to; `onRefresh` receives the new token data.
+function createTokenSession({ accessToken, refreshToken, clientId, onRefresh }) {
+  let refreshing = null;
+
+  function refresh() {
+    if (!refreshToken) {
+      return Promise.reject(new Error('No refresh token available'));
+    }
+    // Concurrent callers share one refresh request
+    if (!refreshing) {
+      refreshing = refreshAccessToken(refreshToken, clientId)
+        .then(data => {
+          accessToken = data.access_token;
+          if (data.refresh_token) refreshToken = data.refresh_token;
+          if (onRefresh) onRefresh(data);
+          return accessToken;
+        })
+        .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+  }
+
+  async function spotifyFetch(url, options = {}) {
+    if (!accessToken) await refresh();
+
+    const send = () => fetch(url, {
+      ...options,
+      headers: { ...options.headers, 'Authorization': 'Bearer ' + accessToken }
+    });
+
+    const response = await send();
+    // Steer new logins to other apps while this one is limited
+    if (response.status === 429) {
+      markRateLimited(getCredential(clientId).clientId, Number(response.headers.get('retry-after')) * 1000 || null);
+    }
+    if (response.status !== 401 || !refreshToken) return response;
+
+    try {
+      await refresh();
+    } catch (err) {
+      logger.error('Token refresh after 401 failed', { error: err.message });
+      return response;
+    }
+    return send();
+  }
+
+  return createSpotifyClient({
+    fetch: spotifyFetch,
+    refresh,
+    clientId,
+    get accessToken()  { return accessToken; },
+    get refreshToken() { return refreshToken; }
+  });
+}
+
+// Middleware for routes that call Spotify on the user's behalf. Attaches
+// `req.spotify` (a Spotify client whose token refreshes update the cookies).
+async function requireSpotifyAuth(req, res, next) {
+  const { access_token, refresh_token, spotify_app } = req.cookies;
+  if (!access_token && !refresh_token) {
+    return sendError(res, 'NOT_AUTHENTICATED', 'Not authenticated with Spotify');
+  }
+
+  req.spotify = createTokenSession({
+    accessToken:  access_token,
+    refreshToken: refresh_token,
+    clientId:     spotify_app,
+    onRefresh: data => {
+      if (!res.headersSent) setAuthCookies(res, data);
+    }
+  });
+
+  if (!access_token) {
+    try {
+      await req.spotify.refresh();
+    } catch (err) {
+      logger.error('Failed to refresh expired access token', { error: err.message });
+      // Only a rejected refresh token ends the session; network errors may pass
+      if (!err.status) {
+        return sendError(res, 'SPOTIFY_UNREACHABLE', 'Could not reach Spotify to refresh the session');
+      }
+      clearAuthCookies(res);
+      return sendError(res, 'SESSION_EXPIRED', 'Spotify session expired, please log in again');
+    }
+  }
+  next();
+}
+
+module.exports = {
+  SPOTIFY_ACCOUNTS_BASE,
+  requestToken,
+  refreshAccessToken,
+  createLoginUrl,
+  consumeLoginState,
+  exchangeCode,
+  setAuthCookies,
+  clearAuthCookies,
+  createTokenSession,
+  requireSpotifyAuth
+};
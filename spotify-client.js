@@ -0,0 +1,168 @@
+// One client for the Spotify Web API, wrapping a token session from
+// spotify-auth (which adds the Bearer header and refreshes on 401).
+// Paths are relative to SPOTIFY_API_BASE so everything can be pointed at a
+// local mock; absolute URLs (e.g. `next` links) are used as-is.
+const { createLogger } = require('./logger');
+const { retries: retryMetric, spotifyResponses } = require('./metrics');
+
+const logger = createLogger('Spotify');
+const SPOTIFY_API_BASE = (process.env.SPOTIFY_API_BASE || 'https://api.spotify.com/v1').replace(/\/+$/, '');
+
+const MAX_RETRIES  = 4;
+const BASE_BACKOFF = 500;
+const MAX_BACKOFF  = 30 * 1000;
+
+// Spotify profile per access token, so routes can key state by user ID
+// without calling /me on every request
+const USER_CACHE_TTL = 60 * 60 * 1000; // access tokens last an hour
+const userCache = new Map();
+
+class SpotifyError extends Error {
+  constructor(message, { status = null, reason = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.reason = reason; // e.g. PREMIUM_REQUIRED, NO_ACTIVE_DEVICE on player calls
+    this.retryAfter = retryAfter;
+  }
+}
+// The login lacks a scope the call needs; only a fresh login fixes it
+class SpotifyScopeError extends SpotifyError {}
+// Still 401 after the token session's refresh; the user has to log in again
+class SpotifyTokenExpiredError extends SpotifyError {}
+class SpotifyNotFoundError extends SpotifyError {}
+// Still 429 after retrying; `retryAfter` is in milliseconds
+class SpotifyRateLimitError extends SpotifyError {}
+
+function retryAfterMs(response) {
+  const seconds = Number(response.headers.get('retry-after'));
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+function backoff(attempt) {
+  const delay = Math.min(BASE_BACKOFF * 2 ** attempt, MAX_BACKOFF);
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function toError(response, data) {
+  const status = response.status;
+  const error = (data && data.error) || {};
+  const message = error.message || `Spotify request failed (${status})`;
+  const reason = error.reason || null;
+
+  if (status === 401) return new SpotifyTokenExpiredError(message, { status, reason });
+  if (status === 403 && /scope/i.test(message)) return new SpotifyScopeError(message, { status, reason });
+  if (status === 404) return new SpotifyNotFoundError(message, { status, reason });
+  if (status === 429) return new SpotifyRateLimitError(message, { status, reason, retryAfter: retryAfterMs(response) });
+  return new SpotifyError(message, { status, reason });
+}
+
+function createSpotifyClient(session, { baseUrl = SPOTIFY_API_BASE } = {}) {
+  function url(path, query) {
+    const full = /^https?:\/\//.test(path) ? path : baseUrl + path;
+    if (!query) return full;
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (value != null) params.set(key, value);
+    });
+    const qs = params.toString();
+    return qs ? `${full}${full.includes('?') ? '&' : '?'}${qs}` : full;
+  }
+
+  // Resolves to the parsed JSON body (null for empty responses). 429s are
+  // retried after Retry-After; 5xx and network errors are retried with
+  // backoff, except for POSTs, which may have gone through.
+  async function request(method, path, { query, body, retries = MAX_RETRIES } = {}) {
+    const idempotent = method !== 'POST';
+    const options = { method };
+    if (body !== undefined) {
+      options.headers = { 'Content-Type': 'application/json' };
+      options.body = JSON.stringify(body);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await session.fetch(url(path, query), options);
+      } catch (err) {
+        spotifyResponses.inc({ method, status: 0 });
+        if (!idempotent || attempt >= retries) throw err;
+        retryMetric.inc({ component: 'spotify', reason: 'network' });
+        logger.warn('Network error, retrying', { method, path, attempt, error: err.message });
+        await sleep(backoff(attempt));
+        continue;
+      }
+      spotifyResponses.inc({ method, status: response.status });
+      logger.debug('Response', { method, path, status: response.status });
+
+      const retryable = response.status === 429 || (response.status >= 500 && idempotent);
+      if (retryable && attempt < retries) {
+        const delay = Math.min(retryAfterMs(response) || backoff(attempt), MAX_BACKOFF);
+        retryMetric.inc({ component: 'spotify', reason: response.status === 429 ? 'rate-limited' : 'server-error' });
+        logger.warn('Retrying', { method, path, status: response.status, attempt, delayMs: Math.round(delay) });
+        await sleep(delay);
+        continue;
+      }
+
+      const text = await response.text();
+      let data = null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch (err) {
+        if (response.ok) throw new SpotifyError('Spotify returned invalid JSON', { status: response.status });
+      }
+      if (!response.ok) throw toError(response, data);
+      return data;
+    }
+  }
+
+  // Yield every item of a paged endpoint, following `next` links
+  async function* paginate(path, query) {
+    let next = url(path, query);
+    while (next) {
+      const page = await request('GET', next);
+      yield* page.items;
+      next = page.next;
+    }
+  }
+
+  // Resolves to the user's Spotify profile ({ id, display_name, ... })
+  async function me() {
+    const cached = userCache.get(session.accessToken);
+    if (cached && cached.expires > Date.now()) return cached.user;
+
+    const user = await request('GET', '/me');
+    for (const [token, entry] of userCache) {
+      if (entry.expires <= Date.now()) userCache.delete(token);
+    }
+    userCache.set(session.accessToken, { user, expires: Date.now() + USER_CACHE_TTL });
+    return user;
+  }
+
+  return {
+    request,
+    get:    (path, query, options) => request('GET', path, { ...options, query }),
+    post:   (path, body, options) => request('POST', path, { ...options, body }),
+    put:    (path, body, options) => request('PUT', path, { ...options, body }),
+    delete: (path, body, options) => request('DELETE', path, { ...options, body }),
+    paginate,
+    me,
+    fetch:    session.fetch,
+    refresh:  session.refresh,
+    clientId: session.clientId,
+    get accessToken()  { return session.accessToken; },
+    get refreshToken() { return session.refreshToken; }
+  };
+}
+
+module.exports = {
+  SPOTIFY_API_BASE,
+  SpotifyError,
+  SpotifyScopeError,
+  SpotifyTokenExpiredError,
+  SpotifyNotFoundError,
+  SpotifyRateLimitError,
+  createSpotifyClient
+};
@@ -0,0 +1,103 @@
+// Pool of Spotify app credentials. Configure one app with CLIENT_ID /
+// CLIENT_SECRET, or several with CLIENT_ID_1 / CLIENT_SECRET_1,
+// CLIENT_ID_2 / ... An app without a secret logs users in with PKCE;
+// SPOTIFY_AUTH_FLOW=pkce uses PKCE for every app.
+//
+// Tokens belong to the app that issued them, so a user stays on one app for
+// the life of their login. New logins go to the app with the fewest logins
+// that isn't cooling down after a 429.
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Auth');
+
+const PLACEHOLDER_CLIENT_ID = 'your_spotify_client_id';
+const DEFAULT_COOLDOWN = 60 * 1000;
+
+function loadCredentials(env = process.env) {
+  const pairs = [];
+  if (env.CLIENT_ID) pairs.push([env.CLIENT_ID, env.CLIENT_SECRET]);
+  for (let i = 1; env[`CLIENT_ID_${i}`]; i++) {
+    pairs.push([env[`CLIENT_ID_${i}`], env[`CLIENT_SECRET_${i}`]]);
+  }
+
+  const seen = new Set();
+  const credentials = pairs
+    .filter(([clientId]) => !seen.has(clientId) && seen.add(clientId))
+    .map(([clientId, clientSecret]) => ({
+      clientId,
+      clientSecret:  clientSecret || null,
+      pkce:          !clientSecret || env.SPOTIFY_AUTH_FLOW === 'pkce',
+      logins:        0,
+      cooldownUntil: 0,
+      rateLimits:    0
+    }));
+
+  // Keep the app bootable without config; logins will fail until it is set
+  if (!credentials.length) {
+    credentials.push({
+      clientId: PLACEHOLDER_CLIENT_ID, clientSecret: null, pkce: true, logins: 0, cooldownUntil: 0, rateLimits: 0
+    });
+  }
+  return credentials;
+}
+
+const credentials = loadCredentials();
+
+function isConfigured() {
+  return credentials[0].clientId !== PLACEHOLDER_CLIENT_ID;
+}
+
+// The app a token was issued by; the first app for cookies from before the pool
+function getCredential(clientId) {
+  return credentials.find(c => c.clientId === clientId) || credentials[0];
+}
+
+// App for a new login. When every app is cooling down, the one that comes
+// back soonest is used rather than refusing the login.
+function pickCredential() {
+  const now = Date.now();
+  const available = credentials.filter(c => c.cooldownUntil <= now);
+  const pool = available.length
+    ? available
+    : [credentials.reduce((a, b) => (b.cooldownUntil < a.cooldownUntil ? b : a))];
+  const credential = pool.reduce((a, b) => (b.logins < a.logins ? b : a));
+  credential.logins++;
+  return credential;
+}
+
+// Spotify rate-limits per app; `retryAfter` is in milliseconds
+function markRateLimited(clientId, retryAfter) {
+  const credential = credentials.find(c => c.clientId === clientId);
+  if (!credential) return;
+  credential.rateLimits++;
+  credential.cooldownUntil = Math.max(credential.cooldownUntil, Date.now() + (retryAfter || DEFAULT_COOLDOWN));
+  logger.warn('App rate limited; new logins go elsewhere', {
+    clientId: maskClientId(clientId),
+    until:    new Date(credential.cooldownUntil).toISOString()
+  });
+}
+
+function maskClientId(clientId) {
+  return `${clientId.slice(0, 4)}…${clientId.slice(-4)}`;
+}
+
+// For /api/health: no secrets, client IDs shortened
+function getCredentialStats() {
+  const now = Date.now();
+  return credentials.map(c => ({
+    clientId:    maskClientId(c.clientId),
+    flow:        c.pkce ? 'pkce' : 'authorization_code',
+    logins:      c.logins,
+    rateLimits:  c.rateLimits,
+    coolingDown: c.cooldownUntil > now
+  }));
+}
+
+module.exports = {
+  loadCredentials,
+  isConfigured,
+  getCredential,
+  pickCredential,
+  markRateLimited,
+  getCredentialStats
+};
@@ -0,0 +1,114 @@
+const SOURCE_TYPES = ['track', 'playlist', 'album', 'artist'];
+
+// Recognize what a pasted link/URI/ID points at:
+//   { type: 'track' | 'playlist' | 'album' | 'artist', id } or { type: 'liked' }
+function parseSpotifySource(input) {
+  if (typeof input !== 'string') return null;
+  input = input.trim();
+
+  if (/^[a-zA-Z0-9]{22}$/.test(input)) {
+    return { type: 'track', id: input };
+  }
+
+  if (/^liked(\s+songs)?$/i.test(input) ||
+      /spotify:user:[^:]+:collection$/.test(input) ||
+      /spotify\.com\/collection\/tracks/.test(input)) {
+    return { type: 'liked' };
+  }
+
+  for (const type of SOURCE_TYPES) {
+    const patterns = [
+      new RegExp(`spotify:${type}:([a-zA-Z0-9]{22})`),
+      new RegExp(`spotify\\.com/(?:intl-[a-z-]+/)?${type}/([a-zA-Z0-9]{22})`)
+    ];
+    for (const p of patterns) {
+      const m = input.match(p);
+      if (m) return { type, id: m[1] };
+    }
+  }
+  return null;
+}
+
+function extractSpotifyTrackId(input) {
+  const source = parseSpotifySource(input);
+  return source && source.type === 'track' ? source.id : null;
+}
+
+function toTrackInfo(track, albumName) {
+  return {
+    id:      track.id,
+    name:    track.name,
+    artists: track.artists.map(a => a.name),
+    album:   albumName || (track.album && track.album.name) || ''
+  };
+}
+
+// Collect tracks from a paged endpoint until we run out of pages or hit the limit
+async function collectPages(spotify, path, query, limit, mapItem) {
+  const tracks = [];
+  for await (const item of spotify.paginate(path, query)) {
+    const track = mapItem(item);
+    if (!track) continue;
+    if (tracks.length >= limit) return { tracks, truncated: true };
+    tracks.push(track);
+  }
+  return { tracks, truncated: false };
+}
+
+// Playlist/library items wrap the track; skip local files, episodes and removed tracks
+function playlistItemTrack(item) {
+  const track = item.track;
+  if (!track || track.type !== 'track' || !track.id || track.is_local) return null;
+  return toTrackInfo(track);
+}
+
+// Expand a parsed source into Spotify track infos ({ id, name, artists, album }).
+// `spotify` is a Spotify client (see spotify-client.js). Resolves to
+// { name, tracks, truncated }.
+async function expandSource(source, spotify, { limit = 500 } = {}) {
+  switch (source.type) {
+    case 'track': {
+      const track = await spotify.get(`/tracks/${source.id}`);
+      return { name: track.name, tracks: [toTrackInfo(track)], truncated: false };
+    }
+
+    case 'playlist': {
+      const playlist = await spotify.get(`/playlists/${source.id}`, { fields: 'name' });
+      const fields = 'items(track(id,name,type,is_local,artists(name),album(name))),next';
+      const result = await collectPages(
+        spotify, `/playlists/${source.id}/tracks`, { limit: 100, fields }, limit, playlistItemTrack
+      );
+      return { name: playlist.name, ...result };
+    }
+
+    case 'album': {
+      const album = await spotify.get(`/albums/${source.id}`);
+      const result = await collectPages(
+        spotify, `/albums/${source.id}/tracks`, { limit: 50 }, limit, track => toTrackInfo(track, album.name)
+      );
+      return { name: album.name, ...result };
+    }
+
+    case 'artist': {
+      const [artist, top] = await Promise.all([
+        spotify.get(`/artists/${source.id}`),
+        spotify.get(`/artists/${source.id}/top-tracks`, { market: 'from_token' })
+      ]);
+      return {
+        name: `${artist.name} — Top Tracks`,
+        tracks: top.tracks.slice(0, limit).map(t => toTrackInfo(t)),
+        truncated: top.tracks.length > limit
+      };
+    }
+
+    case 'liked': {
+      const result = await collectPages(spotify, '/me/tracks', { limit: 50 }, limit, playlistItemTrack);
+      return { name: 'Liked Songs', ...result };
+    }
+
+    default:
+      throw new Error(`Unsupported source type "${source.type}"`);
+  }
+}
+
+module.exports = { parseSpotifySource, extractSpotifyTrackId, expandSource };
@@ -0,0 +1,143 @@
+const { parseCamelot } = require('./analysis-schema');
+
+// Aggregates over history entries ({ source, recordedAt, spotify, analysis }),
+// for the insights dashboard. Pure functions; nothing is scraped here.
+
+const FEATURES = ['energy', 'danceability', 'happiness'];
+// Analyses that mean the user was actually listening (not pasted links or batches)
+const LISTENING_SOURCES = ['current', 'auto-update'];
+// A pause longer than this starts a new listening session
+const SESSION_GAP = 30 * 60 * 1000;
+const TOP_ARTISTS = 10;
+
+// Calendar day (YYYY-MM-DD) of a timestamp in the viewer's time zone;
+// `tzOffset` is minutes behind UTC, as from Date#getTimezoneOffset()
+function dayOf(time, tzOffset) {
+  return new Date(time - tzOffset * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Monday of the day's week
+function weekOf(day) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+function average(values) {
+  const present = values.filter(v => v != null);
+  return present.length ? Math.round(present.reduce((sum, v) => sum + v, 0) / present.length * 10) / 10 : null;
+}
+
+function bpmHistogram(entries, bucketSize) {
+  const counts = new Map();
+  entries.forEach(e => {
+    if (e.analysis.bpm == null) return;
+    const min = Math.floor(e.analysis.bpm / bucketSize) * bucketSize;
+    counts.set(min, (counts.get(min) || 0) + 1);
+  });
+  if (!counts.size) return [];
+
+  // Include empty buckets so the histogram has no gaps
+  const lows = [...counts.keys()];
+  const buckets = [];
+  for (let min = Math.min(...lows); min <= Math.max(...lows); min += bucketSize) {
+    buckets.push({ min, max: min + bucketSize, count: counts.get(min) || 0 });
+  }
+  return buckets;
+}
+
+// All 24 Camelot codes with how often each came up and the key it stands for
+function camelotWheel(entries) {
+  const cells = new Map();
+  for (let number = 1; number <= 12; number++) {
+    ['A', 'B'].forEach(letter => {
+      cells.set(`${number}${letter}`, { code: `${number}${letter}`, number, letter, key: null, count: 0 });
+    });
+  }
+  entries.forEach(e => {
+    const camelot = parseCamelot(e.analysis.camelot);
+    if (!camelot) return;
+    const cell = cells.get(camelot.code);
+    cell.count++;
+    if (!cell.key && e.analysis.key) cell.key = e.analysis.key.name;
+  });
+  return [...cells.values()];
+}
+
+function featuresOverTime(entries, interval, tzOffset) {
+  const periods = new Map();
+  entries.forEach(e => {
+    const day = dayOf(Date.parse(e.recordedAt), tzOffset);
+    const period = interval === 'week' ? weekOf(day) : day;
+    if (!periods.has(period)) periods.set(period, []);
+    periods.get(period).push(e.analysis);
+  });
+
+  return [...periods.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([period, analyses]) => {
+      const point = { period, count: analyses.length };
+      FEATURES.forEach(field => { point[field] = average(analyses.map(a => a[field])); });
+      return point;
+    });
+}
+
+function topArtists(entries) {
+  const counts = new Map();
+  entries.forEach(e => e.spotify.artists.forEach(artist => {
+    counts.set(artist, (counts.get(artist) || 0) + 1);
+  }));
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, TOP_ARTISTS)
+    .map(([artist, count]) => ({ artist, count }));
+}
+
+// Listening sessions (runs of playback-driven analyses without a long pause),
+// grouped by the day they started: [{ date, sessions, tracks, minutes }]
+function sessionsPerDay(entries, tzOffset) {
+  const listened = entries
+    .filter(e => LISTENING_SOURCES.includes(e.source))
+    .map(e => ({ time: Date.parse(e.recordedAt), durationSec: e.analysis.durationSec || 0 }))
+    .sort((a, b) => a.time - b.time);
+
+  const sessions = [];
+  listened.forEach(play => {
+    const current = sessions[sessions.length - 1];
+    if (current && play.time - current.end <= SESSION_GAP) {
+      current.end = play.time + play.durationSec * 1000;
+      current.tracks++;
+    } else {
+      sessions.push({ start: play.time, end: play.time + play.durationSec * 1000, tracks: 1 });
+    }
+  });
+
+  const days = new Map();
+  sessions.forEach(session => {
+    const date = dayOf(session.start, tzOffset);
+    const day = days.get(date) || { date, sessions: 0, tracks: 0, minutes: 0 };
+    day.sessions++;
+    day.tracks += session.tracks;
+    day.minutes += Math.round((session.end - session.start) / 60000);
+    days.set(date, day);
+  });
+  return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Everything the dashboard shows, from entries already filtered by date etc.
+function computeStats(entries, { bpmBucket = 5, interval = 'day', tzOffset = 0 } = {}) {
+  const times = entries.map(e => Date.parse(e.recordedAt));
+  return {
+    total:          entries.length,
+    uniqueTracks:   new Set(entries.map(e => e.spotify.id)).size,
+    firstAt:        times.length ? new Date(Math.min(...times)).toISOString() : null,
+    lastAt:         times.length ? new Date(Math.max(...times)).toISOString() : null,
+    bpm:            { bucketSize: bpmBucket, buckets: bpmHistogram(entries, bpmBucket) },
+    camelot:        camelotWheel(entries),
+    features:       { interval, points: featuresOverTime(entries, interval, tzOffset) },
+    topArtists:     topArtists(entries),
+    sessionsPerDay: sessionsPerDay(entries, tzOffset)
+  };
+}
+
+module.exports = { FEATURES, computeStats };
@@ -0,0 +1,156 @@
+// crawl-scheduler.js with a short cool-down and no request spacing to speak of
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createCrawlScheduler, CrawlCooldownError } = require('../crawl-scheduler');
+
+const HOST = 'tunebat.test';
+const COOLDOWN = 200;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createScheduler() {
+  return createCrawlScheduler({ requestsPerMinute: 60000, breakerThreshold: 2, cooldownMs: COOLDOWN });
+}
+
+// Block pages until the circuit opens; resolves once it has
+async function trip(scheduler) {
+  for (;;) {
+    const ticket = await scheduler.acquire(HOST);
+    if (scheduler.recordBlock(HOST, ticket)) return;
+  }
+}
+
+function circuit(scheduler) {
+  return scheduler.getStats().hosts[HOST];
+}
+
+async function assertRefused(promise) {
+  await assert.rejects(promise, err => err instanceof CrawlCooldownError && err.reason === 'circuit-open');
+}
+
+// How long checkOpen says to wait, in milliseconds
+function retryAfter(scheduler) {
+  try {
+    scheduler.checkOpen(HOST);
+  } catch (err) {
+    return err.retryAfter;
+  }
+  return 0;
+}
+
+test('consecutive block pages open the circuit', async () => {
+  const scheduler = createScheduler();
+
+  const ticket = await scheduler.acquire(HOST);
+  assert.equal(scheduler.recordBlock(HOST, ticket), false);
+  assert.equal(circuit(scheduler).circuit, 'closed');
+
+  assert.equal(scheduler.recordBlock(HOST, await scheduler.acquire(HOST)), true);
+  assert.equal(circuit(scheduler).circuit, 'open');
+  assert.equal(circuit(scheduler).trips, 1);
+  assert.throws(() => scheduler.checkOpen(HOST), CrawlCooldownError);
+  await assertRefused(scheduler.acquire(HOST));
+});
+
+test('a success between block pages keeps the circuit closed', async () => {
+  const scheduler = createScheduler();
+
+  scheduler.recordBlock(HOST, await scheduler.acquire(HOST));
+  scheduler.recordSuccess(HOST, await scheduler.acquire(HOST));
+  assert.equal(scheduler.recordBlock(HOST, await scheduler.acquire(HOST)), false);
+  assert.equal(circuit(scheduler).circuit, 'closed');
+});
+
+test('the circuit is half-open once the cool-down ends', async () => {
+  const scheduler = createScheduler();
+  await trip(scheduler);
+  assert.ok(retryAfter(scheduler) <= COOLDOWN);
+
+  await sleep(COOLDOWN + 20);
+  assert.equal(circuit(scheduler).circuit, 'half-open');
+  assert.ok(await scheduler.acquire(HOST));
+});
+
+test('half-open lets a single probe through until it reports back', async () => {
+  const scheduler = createScheduler();
+  await trip(scheduler);
+  await sleep(COOLDOWN + 20);
+
+  const results = await Promise.allSettled([1, 2, 3].map(() => scheduler.acquire(HOST)));
+  const probes = results.filter(r => r.status === 'fulfilled');
+  assert.equal(probes.length, 1);
+  results.filter(r => r.status === 'rejected').forEach(r => {
+    assert.ok(r.reason instanceof CrawlCooldownError);
+  });
+  assert.equal(circuit(scheduler).probing, true);
+
+  scheduler.recordSuccess(HOST, probes[0].value);
+  assert.equal(circuit(scheduler).circuit, 'closed');
+  assert.equal(circuit(scheduler).trips, 0);
+  const after = await Promise.allSettled([1, 2, 3].map(() => scheduler.acquire(HOST)));
+  assert.ok(after.every(r => r.status === 'fulfilled'));
+});
+
+test('a blocked probe reopens the circuit for twice as long', async () => {
+  const scheduler = createScheduler();
+  await trip(scheduler);
+  await sleep(COOLDOWN + 20);
+
+  const probe = await scheduler.acquire(HOST);
+  assert.equal(scheduler.recordBlock(HOST, probe), true);
+  assert.equal(circuit(scheduler).trips, 2);
+  const wait = retryAfter(scheduler);
+  assert.ok(wait > COOLDOWN && wait <= 2 * COOLDOWN, `retry after ${wait}ms`);
+
+  await sleep(COOLDOWN + 20);
+  await assertRefused(scheduler.acquire(HOST));
+  await sleep(COOLDOWN);
+  assert.ok(await scheduler.acquire(HOST));
+});
+
+test('a success from before the trip is ignored', async () => {
+  const scheduler = createScheduler();
+  const inFlight = await scheduler.acquire(HOST);
+  await trip(scheduler);
+
+  // The scrape that started before the trip finishes while the circuit is open
+  scheduler.recordSuccess(HOST, inFlight);
+  assert.equal(circuit(scheduler).circuit, 'open');
+  assert.equal(circuit(scheduler).trips, 1);
+  await assertRefused(scheduler.acquire(HOST));
+
+  // Still one probe after the cool-down, and its block doubles the cool-down
+  await sleep(COOLDOWN + 20);
+  const results = await Promise.allSettled([1, 2, 3].map(() => scheduler.acquire(HOST)));
+  const probes = results.filter(r => r.status === 'fulfilled');
+  assert.equal(probes.length, 1);
+  assert.equal(scheduler.recordBlock(HOST, probes[0].value), true);
+  assert.ok(retryAfter(scheduler) > COOLDOWN);
+});
+
+test('a success from before the trip is ignored while half-open', async () => {
+  const scheduler = createScheduler();
+  const inFlight = await scheduler.acquire(HOST);
+  await trip(scheduler);
+  await sleep(COOLDOWN + 20);
+  const probe = await scheduler.acquire(HOST);
+
+  scheduler.recordSuccess(HOST, inFlight);
+  assert.equal(circuit(scheduler).circuit, 'half-open');
+  assert.equal(circuit(scheduler).probing, true);
+
+  scheduler.recordSuccess(HOST, probe);
+  assert.equal(circuit(scheduler).circuit, 'closed');
+});
+
+test('a block page from before the trip does not reopen the circuit', async () => {
+  const scheduler = createScheduler();
+  const inFlight = await scheduler.acquire(HOST);
+  await trip(scheduler);
+  await sleep(COOLDOWN + 20);
+
+  assert.equal(scheduler.recordBlock(HOST, inFlight), false);
+  assert.equal(circuit(scheduler).circuit, 'half-open');
+  assert.equal(circuit(scheduler).trips, 1);
+});
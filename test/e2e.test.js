@@ -0,0 +1,487 @@
+// End-to-end tests: the app runs as a child process against the mock Spotify
+// and Tunebat servers (see mock/). Run with `npm test`.
+//
+// Tunebat pages are loaded with plain HTTP (TUNEBAT_PAGE_SOURCE=fetch), so
+// the scraper and parser run against the mock without Chrome installed.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const fetch = require('@replit/node-fetch');
+
+const { createMockSpotify } = require('../mock/spotify-server');
+const { createMockTunebat } = require('../mock/tunebat-server');
+const { TRACKS } = require('../mock/fixtures');
+
+const ROOT = path.join(__dirname, '..');
+const ADMIN_TOKEN = 'e2eAdminToken';
+const UNKNOWN_TRACK_ID = 'NoSuchTrackAnywhere000'; // 22 characters, like a real ID
+
+let app, spotifyBase, tunebatBase, dataDir;
+const servers = [];
+
+// —————————————————————————————
+// Harness
+// —————————————————————————————
+
+function listen(expressApp) {
+  return new Promise(resolve => {
+    const server = expressApp.listen(0, () => resolve(server));
+    servers.push(server);
+  });
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(base, child, output) {
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) break;
+    try {
+      const res = await fetch(`${base}/api/health`);
+      if (res.ok) return;
+    } catch {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`The app did not start:\n${output.join('')}`);
+}
+
+before(async () => {
+  const spotifyServer = await listen(createMockSpotify());
+  const tunebatServer = await listen(createMockTunebat());
+  spotifyBase = `http://localhost:${spotifyServer.address().port}`;
+  tunebatBase = `http://localhost:${tunebatServer.address().port}`;
+
+  const port = await freePort();
+  const base = `http://localhost:${port}`;
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tempo-e2e-'));
+
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT:                        String(port),
+      NODE_ENV:                    'test',
+      LOG_LEVEL:                   'error',
+      DATA_DIR:                    dataDir,
+      CLIENT_ID:                   'e2eClientId',
+      CLIENT_SECRET:               'e2eClientSecret',
+      SPOTIFY_ACCOUNTS_BASE:       spotifyBase,
+      SPOTIFY_API_BASE:            `${spotifyBase}/v1`,
+      SPOTIFY_REDIRECT_URI:        `${base}/callback`,
+      TUNEBAT_BASE_URL:            tunebatBase,
+      ANALYSIS_PROVIDERS:          'overrides,tunebat',
+      ADMIN_TOKEN,
+      TUNEBAT_PAGE_SOURCE:         'fetch',
+      SCRAPER_REQUESTS_PER_MINUTE: '600',
+      SCRAPER_BREAKER_THRESHOLD:   '10'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const output = [];
+  child.stdout.on('data', chunk => output.push(chunk));
+  child.stderr.on('data', chunk => output.push(chunk));
+
+  app = { base, child };
+  await waitForHealth(base, child, output);
+});
+
+after(async () => {
+  if (app && app.child.exitCode === null) {
+    const exited = new Promise(resolve => app.child.once('exit', resolve));
+    app.child.kill('SIGTERM');
+    await Promise.race([exited, new Promise(resolve => setTimeout(resolve, 5000))]);
+    if (app.child.exitCode === null) app.child.kill('SIGKILL');
+  }
+  await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+  if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// —————————————————————————————
+// Clients
+// —————————————————————————————
+
+// A browser stand-in: keeps the app's cookies and never follows redirects,
+// so tests can check where each one points
+function createClient() {
+  const cookies = new Map();
+
+  function store(res) {
+    (res.headers.raw()['set-cookie'] || []).forEach(header => {
+      const [pair, ...attributes] = header.split(';');
+      const name = pair.slice(0, pair.indexOf('=')).trim();
+      const value = pair.slice(pair.indexOf('=') + 1).trim();
+      const expired = attributes.some(a => /^\s*expires=/i.test(a) && new Date(a.split('=')[1]) <= new Date());
+      if (!value || expired) cookies.delete(name);
+      else cookies.set(name, value);
+    });
+  }
+
+  async function request(method, url, { body, headers = {} } = {}) {
+    const options = { method, redirect: 'manual', headers: { ...headers } };
+    if (cookies.size) {
+      options.headers.cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+    if (body !== undefined) {
+      options.headers['content-type'] = options.headers['content-type'] || 'application/json';
+      options.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+
+    const res = await fetch(url.startsWith('http') ? url : app.base + url, options);
+    store(res);
+    return res;
+  }
+
+  return {
+    cookies,
+    request,
+    get:  (url, options) => request('GET', url, options),
+    post: (url, body, options) => request('POST', url, { ...options, body }),
+    put:  (url, body, options) => request('PUT', url, { ...options, body }),
+    del:  (url, options) => request('DELETE', url, options)
+  };
+}
+
+// Start a login and let the mock accounts service answer it; resolves to the
+// callback URL the browser would be sent to
+async function authorize(client) {
+  const login = await client.get('/login');
+  assert.equal(login.status, 302);
+  const authorizeUrl = login.headers.get('location');
+  assert.ok(authorizeUrl.startsWith(`${spotifyBase}/authorize?`), authorizeUrl);
+
+  const consent = await fetch(authorizeUrl, { redirect: 'manual' });
+  assert.equal(consent.status, 302);
+  return consent.headers.get('location');
+}
+
+// Where the callback sends the browser back to, e.g. '/#success=logged_in'
+async function callback(client, url) {
+  const res = await client.get(url);
+  assert.equal(res.status, 302);
+  // fetch hands back the Location header resolved against the request URL
+  const location = new URL(res.headers.get('location'));
+  return location.pathname + location.hash;
+}
+
+async function loggedInClient() {
+  const client = createClient();
+  assert.equal(await callback(client, await authorize(client)), '/#success=logged_in');
+  return client;
+}
+
+async function mock(method, base, url, body) {
+  const res = await fetch(base + url, {
+    method,
+    headers: { 'content-type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  assert.ok(res.ok, `${method} ${url} answered ${res.status}`);
+  return res.json();
+}
+
+const mockSpotify = (method, url, body) => mock(method, spotifyBase, url, body);
+const mockTunebat = (method, url, body) => mock(method, tunebatBase, url, body);
+
+async function json(res, status) {
+  const body = await res.json();
+  assert.equal(res.status, status, JSON.stringify(body));
+  return body;
+}
+
+function assertError(body, code) {
+  assert.equal(body.success, false);
+  assert.equal(body.code, code, JSON.stringify(body));
+  assert.equal(typeof body.error, 'string');
+  assert.ok(body.requestId);
+}
+
+const trackLink = id => `https://open.spotify.com/track/${id}`;
+const asAdmin = { headers: { authorization: `Bearer ${ADMIN_TOKEN}` } };
+
+// —————————————————————————————
+// Login
+// —————————————————————————————
+
+test('login sets the auth cookies and reports the session as authenticated', async () => {
+  const client = createClient();
+  assert.deepEqual(await json(await client.get('/api/auth-status'), 200), { authenticated: false });
+
+  const callbackUrl = await authorize(client);
+  assert.ok(new URL(callbackUrl).searchParams.get('code'));
+  assert.equal(await callback(client, callbackUrl), '/#success=logged_in');
+
+  assert.ok(client.cookies.get('access_token'));
+  assert.ok(client.cookies.get('refresh_token'));
+  assert.deepEqual(await json(await client.get('/api/auth-status'), 200), { authenticated: true });
+});
+
+test('a callback with an unknown state is rejected', async () => {
+  const client = createClient();
+  const url = new URL(await authorize(client));
+  url.searchParams.set('state', 'forged-state');
+
+  assert.equal(await callback(client, url.href), '/#error=state_mismatch');
+  assert.ok(!client.cookies.has('access_token'));
+});
+
+test('a callback can only be used once', async () => {
+  const client = createClient();
+  const callbackUrl = await authorize(client);
+  assert.equal(await callback(client, callbackUrl), '/#success=logged_in');
+
+  const replay = createClient();
+  assert.equal(await callback(replay, callbackUrl), '/#error=state_mismatch');
+  assert.ok(!replay.cookies.has('access_token'));
+});
+
+test('a denied login comes back as access_denied', async () => {
+  await mockSpotify('PUT', '/mock/config', { denyLogin: true });
+  try {
+    const client = createClient();
+    assert.equal(await callback(client, await authorize(client)), '/#error=access_denied');
+    assert.ok(!client.cookies.has('access_token'));
+  } finally {
+    await mockSpotify('PUT', '/mock/config', { denyLogin: false });
+  }
+});
+
+// —————————————————————————————
+// Analysis
+// —————————————————————————————
+
+test('analyzes a pasted track link from its Tunebat page', async () => {
+  const client = await loggedInClient();
+  const track = TRACKS[0];
+
+  const result = await json(await client.post('/api/analyze', { input: trackLink(track.id) }), 200);
+  assert.equal(result.success, true);
+  assert.equal(result.spotify.id, track.id);
+  assert.equal(result.spotify.name, track.name);
+  assert.equal(result.analysis.bpm, 124);
+  assert.equal(result.analysis.key.name, 'A Minor');
+  assert.equal(result.analysis.camelot.code, '8A');
+  assert.equal(result.analysis.energy, 78);
+  assert.equal(result.analysis.sources.bpm, 'tunebat');
+  assert.ok(result.providers.tunebat.scrapeId);
+});
+
+test('analyzes the currently playing track', async () => {
+  const client = await loggedInClient();
+  const track = TRACKS[2];
+  await mockSpotify('PUT', '/mock/player', { trackId: track.id, isPlaying: true });
+
+  const result = await json(await client.post('/api/analyze', { mode: 'current' }), 200);
+  assert.equal(result.spotify.id, track.id);
+  assert.equal(result.analysis.bpm, 122);
+  assert.equal(result.analysis.key.name, 'C Major');
+  assert.equal(result.analysis.camelot.code, '8B');
+});
+
+test('corrections win over Tunebat data', async () => {
+  const client = await loggedInClient();
+  const track = TRACKS[3];
+  await json(await client.put(`/api/overrides/${track.id}`, { bpm: 59, camelot: '7B' }, asAdmin), 200);
+
+  const result = await json(await client.post('/api/analyze', { input: trackLink(track.id), force: true }), 200);
+  assert.equal(result.analysis.bpm, 59);
+  assert.equal(result.analysis.camelot.code, '7B');
+  assert.equal(result.analysis.key.name, 'D Minor');
+  assert.equal(result.analysis.sources.bpm, 'overrides');
+  assert.equal(result.analysis.sources.key, 'tunebat');
+});
+
+test('overrides can only be changed with the admin token', async () => {
+  const client = await loggedInClient();
+  const track = TRACKS[1];
+
+  assertError(await json(await client.put(`/api/overrides/${track.id}`, { bpm: 1 }), 401), 'ADMIN_TOKEN_REQUIRED');
+  assertError(await json(await client.del(`/api/overrides/${track.id}`), 401), 'ADMIN_TOKEN_REQUIRED');
+  const wrongToken = { headers: { authorization: 'Bearer not-the-token' } };
+  assertError(await json(await client.put(`/api/overrides/${track.id}`, { bpm: 1 }, wrongToken), 401), 'ADMIN_TOKEN_REQUIRED');
+  assert.deepEqual(await json(await client.get(`/api/overrides/${track.id}`), 200), { trackId: track.id, overrides: {} });
+
+  await json(await client.put(`/api/overrides/${track.id}`, { bpm: 1 }, asAdmin), 200);
+  assert.deepEqual(await json(await client.del(`/api/overrides/${track.id}`, asAdmin), 200), { success: true });
+});
+
+test('current mode with nothing playing is NOT_FOUND', async () => {
+  const client = await loggedInClient();
+  await mockSpotify('PUT', '/mock/player', { trackId: null, isPlaying: false });
+
+  assertError(await json(await client.post('/api/analyze', { mode: 'current' }), 404), 'NOT_FOUND');
+});
+
+test('a scrape Tunebat keeps blocking is ANALYSIS_FAILED with a diagnostics bundle', async () => {
+  const client = await loggedInClient();
+  const track = TRACKS[4];
+  await mockTunebat('PUT', '/mock/block', { mode: 'security-check', times: 3 });
+
+  const body = await json(await client.post('/api/analyze', { input: trackLink(track.id), force: true }), 502);
+  assertError(body, 'ANALYSIS_FAILED');
+  assert.equal(body.spotify.id, track.id);
+  assert.equal(body.providers.tunebat.success, false);
+
+  const { scrapeId } = body.providers.tunebat;
+  const bundle = await json(await client.get(`/api/admin/scrapes/${scrapeId}`, asAdmin), 200);
+  assert.equal(bundle.success, false);
+  assert.deepEqual(bundle.attempts.map(a => a.outcome), ['security-check', 'security-check', 'security-check']);
+});
+
+test('a link that is not a Spotify track is INVALID_TRACK_ID', async () => {
+  const client = await loggedInClient();
+  const body = await json(await client.post('/api/analyze', { input: 'https://example.com/not-a-track' }), 400);
+  assertError(body, 'INVALID_TRACK_ID');
+});
+
+test('an unknown track is TRACK_NOT_FOUND', async () => {
+  const client = await loggedInClient();
+  const body = await json(await client.post('/api/analyze', { input: trackLink(UNKNOWN_TRACK_ID) }), 404);
+  assertError(body, 'TRACK_NOT_FOUND');
+});
+
+// —————————————————————————————
+// Playlists
+// —————————————————————————————
+
+test('adding to a new playlist creates it', async () => {
+  const client = await loggedInClient();
+  const name = `E2E Created ${Date.now()}`;
+  const track = TRACKS[0];
+
+  const result = await json(await client.post('/api/add-to-playlist', { playlistName: name, trackId: track.id }), 200);
+  assert.equal(result.success, true);
+  assert.equal(result.alreadyPresent, false);
+
+  const { playlists } = await mockSpotify('GET', '/mock/state');
+  const created = playlists.find(p => p.name === name);
+  assert.ok(created, 'the playlist was not created');
+  assert.equal(created.id, result.playlistId);
+  assert.deepEqual(created.tracks, [track.id]);
+});
+
+test('adding a track twice leaves one copy', async () => {
+  const client = await loggedInClient();
+  const name = `E2E Twice ${Date.now()}`;
+  const add = { playlistName: name, trackId: TRACKS[1].id };
+
+  const first = await json(await client.post('/api/add-to-playlist', add), 200);
+  const second = await json(await client.post('/api/add-to-playlist', add), 200);
+  assert.equal(second.playlistId, first.playlistId);
+  assert.equal(second.alreadyPresent, true);
+
+  const { playlists } = await mockSpotify('GET', '/mock/state');
+  assert.deepEqual(playlists.find(p => p.id === first.playlistId).tracks, [TRACKS[1].id]);
+});
+
+test('adds to an existing playlist by name', async () => {
+  const client = await loggedInClient();
+  const track = TRACKS[3];
+
+  const result = await json(await client.post('/api/add-to-playlist', { playlistName: 'Night Set', trackId: track.id }), 200);
+  assert.equal(result.playlistId, 'MockPlaylistNightSet01');
+  assert.equal(result.alreadyPresent, false);
+
+  const { playlists } = await mockSpotify('GET', '/mock/state');
+  assert.ok(playlists.find(p => p.id === 'MockPlaylistNightSet01').tracks.includes(track.id));
+  assert.equal(playlists.filter(p => p.name === 'Night Set').length, 1);
+});
+
+test('saving a set twice under one name creates two playlists in set order', async () => {
+  const client = await loggedInClient();
+  const name = `E2E Set ${Date.now()}`;
+  const [a, b] = [TRACKS[0].id, TRACKS[1].id];
+
+  const first = await json(await client.post('/api/sequence/save', { name, trackIds: [a, b] }), 200);
+  const second = await json(await client.post('/api/sequence/save', { name, trackIds: [b, a] }), 200);
+  assert.equal(first.added, 2);
+  assert.equal(second.added, 2);
+  assert.notEqual(second.playlistId, first.playlistId);
+
+  const { playlists } = await mockSpotify('GET', '/mock/state');
+  assert.deepEqual(playlists.find(p => p.id === first.playlistId).tracks, [a, b]);
+  assert.deepEqual(playlists.find(p => p.id === second.playlistId).tracks, [b, a]);
+});
+
+test('a login without playlist permissions is SCOPE_MISSING', async () => {
+  await mockSpotify('PUT', '/mock/config', { scope: ['user-read-currently-playing', 'playlist-read-private'] });
+  let client;
+  try {
+    client = await loggedInClient();
+  } finally {
+    await mockSpotify('PUT', '/mock/config', { scope: null });
+  }
+
+  const add = { playlistName: `E2E No Scope ${Date.now()}`, trackId: TRACKS[0].id };
+  assertError(await json(await client.post('/api/add-to-playlist', add), 403), 'SCOPE_MISSING');
+});
+
+test('a playlist write Spotify rejects is SPOTIFY_ERROR', async () => {
+  const client = await loggedInClient();
+  await mockSpotify('POST', '/mock/failures', { path: '/playlists/MockPlaylistNightSet01/tracks', method: 'POST', status: 500 });
+
+  const add = { playlistName: 'Night Set', trackId: TRACKS[4].id };
+  assertError(await json(await client.post('/api/add-to-playlist', add), 502), 'SPOTIFY_ERROR');
+});
+
+// —————————————————————————————
+// Errors
+// —————————————————————————————
+
+test('Spotify endpoints need a login', async () => {
+  const client = createClient();
+  assertError(await json(await client.post('/api/analyze', { input: trackLink(TRACKS[0].id) }), 401), 'NOT_AUTHENTICATED');
+});
+
+test('an expired access token is refreshed transparently', async () => {
+  const client = await loggedInClient();
+  const before = client.cookies.get('access_token');
+  await mockSpotify('POST', '/mock/expire-tokens');
+
+  await json(await client.get('/api/currently-playing'), 200);
+  assert.ok(client.cookies.get('access_token'));
+  assert.notEqual(client.cookies.get('access_token'), before);
+});
+
+test('Spotify rate limits that outlast the retries are RATE_LIMITED', async () => {
+  const client = await loggedInClient();
+  // The first request and each of the client's four retries
+  await mockSpotify('POST', '/mock/failures', { path: '/me/player/currently-playing', status: 429, times: 5, retryAfter: 1 });
+
+  const res = await client.get('/api/currently-playing');
+  assertError(await json(res, 429), 'RATE_LIMITED');
+  assert.equal(res.headers.get('retry-after'), '1');
+  assert.deepEqual((await mockSpotify('GET', '/mock/state')).failures, []);
+});
+
+test('malformed JSON is VALIDATION_FAILED', async () => {
+  const client = await loggedInClient();
+  assertError(await json(await client.post('/api/analyze', '{"input": '), 400), 'VALIDATION_FAILED');
+});
+
+test('unknown API paths are NOT_FOUND', async () => {
+  const client = createClient();
+  assertError(await json(await client.get('/api/no-such-endpoint'), 404), 'NOT_FOUND');
+});
+
+// Runs last: resetting the mock revokes every token handed out so far
+test('a revoked login is SESSION_EXPIRED', async () => {
+  const client = await loggedInClient();
+  await mockSpotify('POST', '/mock/reset');
+
+  assertError(await json(await client.get('/api/currently-playing'), 401), 'SESSION_EXPIRED');
+});
@@ -0,0 +1,123 @@
+// The playlist rules engine: rule validation, matching and playlist naming
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeRules, evaluateRules, RuleError } = require('../playlist-rules');
+const { parseKey, parseCamelot } = require('../analysis-schema');
+
+const SPOTIFY = { id: 'TrackAAAAAAAAAAAAAAAAA', name: 'Midnight', artists: ['Night Drives'], album: 'Neon' };
+
+function analysis(fields = {}) {
+  return { bpm: 124, key: parseKey('A Minor'), camelot: parseCamelot('8A'), energy: 70, ...fields };
+}
+
+// Playlist names a track lands in under `rules` (validated first)
+function playlistsFor(rules, fields) {
+  return evaluateRules(normalizeRules(rules), analysis(fields), SPOTIFY).map(m => m.playlist);
+}
+
+const bucketRule = { playlist: 'Race {bucket}', bucket: { field: 'bpm', size: 5 } };
+const foldedRule = {
+  playlist:   'Folded {bpm}',
+  conditions: [{ field: 'bpm', min: 85, max: 100 }],
+  foldBpm:    { min: 85, max: 170 }
+};
+
+// —————————————————————————————
+// normalizeRules
+// —————————————————————————————
+
+test('normalizeRules fills in defaults and canonical spellings', () => {
+  const [rule] = normalizeRules([{
+    playlist:   '  Peak {camelot}  ',
+    conditions: [{ field: 'key', is: 'F# min' }, { field: 'camelot', is: ['8a'] }, { field: 'bpm', min: 120 }]
+  }]);
+
+  assert.equal(typeof rule.id, 'string');
+  assert.equal(rule.enabled, true);
+  assert.equal(rule.playlist, 'Peak {camelot}');
+  assert.equal(rule.match, 'all');
+  assert.deepEqual(rule.conditions, [
+    { field: 'key', is: ['F♯ Minor'] },
+    { field: 'camelot', is: ['8A'] },
+    { field: 'bpm', min: 120, max: null }
+  ]);
+  assert.equal(rule.bucket, null);
+  assert.equal(rule.foldBpm, null);
+});
+
+test('normalizeRules rejects invalid rules', () => {
+  const invalid = [
+    'not a list',
+    [{ playlist: '' }],
+    [{ playlist: 'Everything' }],
+    [{ playlist: 'Race {bucket}' }],
+    [{ playlist: '{nope}', conditions: [{ field: 'bpm', min: 1 }] }],
+    [{ playlist: 'Keys', conditions: [{ field: 'key', is: 'H Major' }] }],
+    [{ playlist: 'Fast', conditions: [{ field: 'bpm', min: 130, max: 120 }] }],
+    [{ ...bucketRule, bucket: { field: 'bpm', size: 0 } }],
+    [{ ...foldedRule, foldBpm: { min: 0, max: 170 } }],
+    [{ ...foldedRule, foldBpm: { min: 100, max: 150 } }]
+  ];
+  invalid.forEach(rules => {
+    assert.throws(() => normalizeRules(rules), RuleError, JSON.stringify(rules));
+  });
+});
+
+// —————————————————————————————
+// Buckets
+// —————————————————————————————
+
+test('bucket rules name the playlist after the BPM range', () => {
+  assert.deepEqual(playlistsFor([bucketRule], { bpm: 122 }), ['Race 120–125']);
+  assert.deepEqual(playlistsFor([bucketRule], { bpm: 125 }), ['Race 125–130']);
+  assert.deepEqual(playlistsFor([bucketRule], { bpm: 119.6 }), ['Race 115–120']);
+});
+
+test('fractional bucket sizes keep one decimal', () => {
+  const rule = { ...bucketRule, bucket: { field: 'bpm', size: 2.5 } };
+  assert.deepEqual(playlistsFor([rule], { bpm: 121 }), ['Race 120–122.5']);
+});
+
+test('a track without the bucket field lands in no bucket', () => {
+  assert.deepEqual(playlistsFor([bucketRule], { bpm: null }), []);
+});
+
+test('rules naming the same playlist add the track once', () => {
+  const rules = [bucketRule, { playlist: 'Race 120–125', conditions: [{ field: 'camelot', is: '8A' }] }];
+  assert.deepEqual(playlistsFor(rules, { bpm: 122 }), ['Race 120–125']);
+});
+
+// —————————————————————————————
+// BPM folding
+// —————————————————————————————
+
+test('half-time folding brings a fast BPM into range', () => {
+  assert.deepEqual(playlistsFor([foldedRule], { bpm: 174 }), ['Folded 87']);
+});
+
+test('double-time folding brings a slow BPM into range', () => {
+  const rule = { ...foldedRule, playlist: 'Doubled {bpm}', conditions: [{ field: 'bpm', min: 120, max: 130 }] };
+  assert.deepEqual(playlistsFor([rule], { bpm: 62 }), ['Doubled 124']);
+});
+
+test('a BPM already in range is left alone', () => {
+  assert.deepEqual(playlistsFor([foldedRule], { bpm: 92 }), ['Folded 92']);
+});
+
+test('folding buckets by the folded BPM', () => {
+  const rule = { ...bucketRule, foldBpm: { min: 85, max: 170 } };
+  assert.deepEqual(playlistsFor([rule], { bpm: 350 }), ['Race 85–90']);
+});
+
+[0, -120, NaN, null].forEach(bpm => {
+  test(`a BPM of ${bpm} matches no BPM condition or bucket when folding`, () => {
+    const foldedBucket = { ...bucketRule, foldBpm: { min: 85, max: 170 } };
+    assert.deepEqual(playlistsFor([foldedRule, foldedBucket], { bpm }), []);
+  });
+
+  test(`a BPM of ${bpm} still lets other conditions match when folding`, () => {
+    const rule = { playlist: 'Minor', conditions: [{ field: 'mode', is: 'minor' }], foldBpm: { min: 85, max: 170 } };
+    assert.deepEqual(playlistsFor([rule], { bpm }), ['Minor']);
+  });
+});
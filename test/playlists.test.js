@@ -0,0 +1,82 @@
+// playlists.js against an in-memory stand-in for the Spotify client
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getOrCreatePlaylist, addTracksToPlaylist } = require('../playlists');
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+// Just enough of spotify-client.js: playlist listing, creation and adds.
+// Every call yields first, like a real request would.
+function fakeSpotify(playlists = []) {
+  const spotify = {
+    playlists,
+    created: [],
+    added:   [],
+
+    async *paginate(path) {
+      await tick();
+      if (path !== '/me/playlists') return;
+      for (const playlist of [...spotify.playlists]) yield playlist;
+    },
+
+    async post(path, body) {
+      await tick();
+      if (path.endsWith('/playlists')) {
+        const playlist = { id: `Playlist${spotify.playlists.length + 1}`, name: body.name };
+        spotify.playlists.push(playlist);
+        spotify.created.push(playlist.name);
+        return playlist;
+      }
+      spotify.added.push({ path, uris: body.uris });
+      return {};
+    }
+  };
+  return spotify;
+}
+
+test('parallel calls for the same name create one playlist', async () => {
+  const spotify = fakeSpotify();
+
+  const ids = await Promise.all([1, 2, 3, 4].map(() => getOrCreatePlaylist('race-user', spotify, 'Race 120–125')));
+
+  assert.deepEqual(spotify.created, ['Race 120–125']);
+  assert.deepEqual(new Set(ids), new Set([spotify.playlists[0].id]));
+});
+
+test('parallel calls for different names create one playlist each', async () => {
+  const spotify = fakeSpotify();
+
+  const [low, high, lowAgain] = await Promise.all([
+    getOrCreatePlaylist('bucket-user', spotify, 'Race 115–120'),
+    getOrCreatePlaylist('bucket-user', spotify, 'Race 120–125'),
+    getOrCreatePlaylist('bucket-user', spotify, 'Race 115–120')
+  ]);
+
+  assert.equal(spotify.created.length, 2);
+  assert.notEqual(low, high);
+  assert.equal(lowAgain, low);
+});
+
+test('an existing playlist is reused, not created', async () => {
+  const spotify = fakeSpotify([{ id: 'ExistingNightSet', name: 'Night Set' }]);
+
+  const ids = await Promise.all([1, 2].map(() => getOrCreatePlaylist('existing-user', spotify, 'Night Set')));
+
+  assert.deepEqual(ids, ['ExistingNightSet', 'ExistingNightSet']);
+  assert.deepEqual(spotify.created, []);
+});
+
+test('parallel adds of the same track to a new playlist add it once', async () => {
+  const spotify = fakeSpotify();
+  const addTo = async name => {
+    const playlistId = await getOrCreatePlaylist('auto-add-user', spotify, name);
+    return addTracksToPlaylist(playlistId, ['TrackAAAAAAAAAAAAAAAAA'], spotify);
+  };
+
+  const results = await Promise.all([addTo('Race 125–130'), addTo('Race 125–130')]);
+
+  assert.deepEqual(spotify.created, ['Race 125–130']);
+  assert.equal(spotify.added.length, 1);
+  assert.deepEqual(results.map(r => r.added.length).sort(), [0, 1]);
+});
@@ -0,0 +1,49 @@
+// scrape-diagnostics.js writing bundles to a throwaway DATA_DIR
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tempo-diagnostics-'));
+process.env.DATA_DIR = dataDir;
+process.env.SCRAPE_DIAGNOSTICS_MAX_BUNDLES = '2';
+const { createScrapeRecorder, listScrapes, getScrape, getArtifactPath } = require('../scrape-diagnostics');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Just enough of a Puppeteer page for capture()
+const page = {
+  url:        () => 'https://tunebat.com/Info/Midnight/TrackAAAAAAAAAAAAAAAAA',
+  content:    async () => '<html>late</html>',
+  screenshot: async () => Buffer.from('png')
+};
+
+async function recordScrape(success) {
+  const recorder = createScrapeRecorder({ url: page.url(), track: { spotifyId: 'TrackAAAAAAAAAAAAAAAAA' } });
+  const attempt = recorder.startAttempt();
+  await attempt.capture(page, '<html>blocked</html>');
+  attempt.finish(success ? 'ok' : 'security-check');
+  await recorder.finish({ success, error: success ? null : 'Blocked' });
+  return recorder.id;
+}
+
+test('a finished scrape is on disk once finish() resolves', async () => {
+  const id = await recordScrape(false);
+
+  const manifest = getScrape(id);
+  assert.equal(manifest.success, false);
+  assert.deepEqual(manifest.attempts[0].artifacts, ['attempt-1.html', 'attempt-1.png']);
+  assert.equal(fs.readFileSync(getArtifactPath(id, 'attempt-1.html'), 'utf8'), '<html>blocked</html>');
+  assert.equal(JSON.parse(fs.readFileSync(getArtifactPath(id, 'bundle.json'), 'utf8')).id, id);
+  assert.equal(getArtifactPath(id, '../../secrets.json'), null);
+});
+
+test('the oldest bundles are pruned past the cap', async () => {
+  const ids = [];
+  for (const success of [false, true, false]) ids.push(await recordScrape(success));
+
+  const { scrapes } = listScrapes({ status: 'all' });
+  assert.deepEqual(scrapes.map(s => s.id), [ids[2], ids[1]]);
+  assert.equal(fs.existsSync(path.join(dataDir, 'scrapes', ids[0])), false);
+});
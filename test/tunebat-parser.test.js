@@ -0,0 +1,99 @@
+// tunebat-parser.js against saved Tunebat pages in test/fixtures/tunebat
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { parseTunebatPage, detectBlockPage } = require('../tunebat-parser');
+
+const PAGE_URL = 'https://tunebat.com/Info/Midnight-City-M83/6GyFP1nfCDB8lbD2bG0Hq9';
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'tunebat', name), 'utf8');
+}
+
+test('parses a normal info page', () => {
+  const { recommendations, ...fields } = parseTunebatPage(fixture('normal.html'), PAGE_URL);
+
+  assert.equal(recommendations.length, 2);
+  assert.deepEqual(fields, {
+    title:            'Midnight City',
+    artist:           'M83',
+    album:            'Hurry Up, We\'re Dreaming',
+    key:              'A Minor',
+    camelot:          '8A',
+    bpm:              '105',
+    duration:         '4:03',
+    releaseDate:      'October 18, 2011',
+    explicit:         false,
+    popularity:       '71',
+    energy:           '71',
+    danceability:     '51',
+    happiness:        '27',
+    acousticness:     '2',
+    instrumentalness: '13',
+    liveness:         '8',
+    speechiness:      '4',
+    loudness:         '-5.4',
+    albumArt:         'https://tunebat.com/images/albums/hurry-up-we-re-dreaming.jpg'
+  });
+});
+
+test('parses the recommendations with absolute links', () => {
+  const { recommendations } = parseTunebatPage(fixture('normal.html'), PAGE_URL);
+
+  assert.deepEqual(recommendations, [
+    {
+      title:      'Ladder',
+      artist:     'Ladder Band',
+      spotifyId:  '5xFbSPFTRn2kOEgbBS1Ctk',
+      key:        'A Minor',
+      bpm:        '106',
+      camelot:    '8A',
+      popularity: '44',
+      albumArt:   'https://tunebat.com/images/albums/the-colour-of-spring.jpg'
+    },
+    {
+      title:      'Outer Space',
+      artist:     'Night Drives',
+      spotifyId:  '2wC8WuSkEB8W1BgGTC2d0Z',
+      key:        'C Major',
+      bpm:        '104',
+      camelot:    '8B',
+      popularity: '38',
+      albumArt:   'https://i.scdn.co/image/ab67616d0000b2738ac778cc7d88779f74d33311'
+    }
+  ]);
+});
+
+test('leaves fields a page lacks empty', () => {
+  const data = parseTunebatPage(fixture('missing-fields.html'), PAGE_URL);
+
+  assert.equal(data.title, 'Untitled Demo');
+  assert.equal(data.artist, 'Unknown Artist');
+  assert.equal(data.album, '');
+  assert.equal(data.key, 'F♯ Minor');
+  assert.equal(data.duration, '2:58');
+  assert.equal(data.explicit, true);
+  assert.equal(data.popularity, '3');
+  assert.equal(data.albumArt, '');
+  assert.deepEqual(data.recommendations, []);
+  ['camelot', 'bpm', 'releaseDate', 'energy', 'danceability', 'happiness', 'acousticness',
+    'instrumentalness', 'liveness', 'speechiness', 'loudness'].forEach(field => {
+    assert.equal(data[field], '', field);
+  });
+});
+
+test('a page without track metadata parses to null', () => {
+  assert.equal(parseTunebatPage('<html><body><p>Loading…</p></body></html>', PAGE_URL), null);
+});
+
+test('detects block pages', () => {
+  assert.equal(detectBlockPage(fixture('security-check.html')), 'security-check');
+  assert.equal(detectBlockPage(fixture('too-many-requests.html')), 'rate-limited');
+});
+
+test('normal pages are not block pages', () => {
+  assert.equal(detectBlockPage(fixture('normal.html')), null);
+  assert.equal(detectBlockPage(fixture('missing-fields.html')), null);
+});
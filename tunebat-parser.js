@@ -0,0 +1,150 @@
+const cheerio = require('cheerio');
+
+// Pure parsing of Tunebat "Info" pages. Everything here works on an HTML
+// string so it can run against saved pages without a browser.
+
+// Musical attributes with different possible formats, tried in order
+const FIELD_PATTERNS = [
+  ['key', /Key:\s*([A-G][♯♭]?\s*(?:Major|Minor|maj|min))/i, /([A-G][♯♭]?\s*(?:Major|Minor|maj|min))/i],
+  ['camelot', /Camelot:\s*(\d+[AB])/i, /(\d+[AB])/],
+  ['bpm', /BPM:\s*(\d+)/i, /Tempo:\s*(\d+)/i, /(\d+)\s*BPM/i],
+  ['duration', /Duration:\s*(\d+:\d+)/i],
+  ['releaseDate', /Release Date:\s*([A-Za-z]+\s+\d{1,2},?\s+\d{4})/i],
+  ['popularity', /(\d+)\s*(?:\/\s*\d+)?\s*Popularity/i],
+  ['energy', /(\d+)\s*(?:\/\s*\d+)?\s*Energy/i],
+  ['danceability', /(\d+)\s*(?:\/\s*\d+)?\s*Danceability/i],
+  ['happiness', /(\d+)\s*(?:\/\s*\d+)?\s*Happiness/i],
+  ['acousticness', /(\d+)\s*(?:\/\s*\d+)?\s*Acousticness/i],
+  ['instrumentalness', /(\d+)\s*(?:\/\s*\d+)?\s*Instrumentalness/i],
+  ['liveness', /(\d+)\s*(?:\/\s*\d+)?\s*Liveness/i],
+  ['speechiness', /(\d+)\s*(?:\/\s*\d+)?\s*Speechiness/i],
+  ['loudness', /([-]?\d+(?:\.\d+)?)\s*(?:dB)?\s*Loudness/i]
+];
+
+// Basic metadata selectors; if none of these match the page didn't load properly
+const META_SELECTORS = [
+  ['title', ['h1', '[class*="title"]', '[class*="name"]']],
+  ['artist', ['.artist-name', '[class*="artist"]', '[class*="performer"]']],
+  ['album', ['.album-name', '[class*="album"]']]
+];
+
+// Recommendation rows and the cells inside them (Tunebat's generated class names)
+const RECOMMENDATION_SELECTORS = {
+  row:     '.ant-row.pDoqI',
+  title:   '.aZDDf',
+  artist:  '._2zAVA',
+  link:    '.NWuk-[href*="spotify.com"]',
+  values:  '.lAjUd'  // key, bpm, camelot, popularity in that order
+};
+
+// Returns 'security-check', 'rate-limited' or null for a normal page
+function detectBlockPage(html) {
+  if (html.includes('security check')) return 'security-check';
+  if (html.includes('Too Many Requests')) return 'rate-limited';
+  return null;
+}
+
+// Resolve a relative href/src the way the DOM's .href/.src would
+function absoluteUrl(value, baseUrl) {
+  if (!value) return '';
+  try {
+    return new URL(value, baseUrl).href;
+  } catch {
+    return value;
+  }
+}
+
+function parseRecommendations($, baseUrl) {
+  const recommendations = [];
+
+  $(RECOMMENDATION_SELECTORS.row).each((_, row) => {
+    const track = $(row);
+    const values = track.find(RECOMMENDATION_SELECTORS.values);
+    const valueAt = i => values.eq(i).text().trim();
+
+    const spotifyLink = absoluteUrl(track.find(RECOMMENDATION_SELECTORS.link).first().attr('href'), baseUrl);
+    const trackId = spotifyLink.split('/').pop();
+    if (!trackId) return;
+
+    recommendations.push({
+      title:      track.find(RECOMMENDATION_SELECTORS.title).first().text().trim(),
+      artist:     track.find(RECOMMENDATION_SELECTORS.artist).first().text().trim(),
+      spotifyId:  trackId,
+      key:        valueAt(0),
+      bpm:        valueAt(1),
+      camelot:    valueAt(2),
+      popularity: valueAt(3),
+      albumArt:   absoluteUrl(track.find('img').first().attr('src'), baseUrl)
+    });
+  });
+
+  return recommendations;
+}
+
+// Parse a rendered Tunebat info page. Returns the raw data object, or null
+// when the page has none of the basic track metadata.
+function parseTunebatPage(html, baseUrl = 'https://tunebat.com/') {
+  const $ = cheerio.load(html);
+  const bodyText = $('body').text() || '';
+
+  const data = {
+    title: '',
+    artist: '',
+    album: '',
+    key: '',
+    camelot: '',
+    bpm: '',
+    duration: '',
+    releaseDate: '',
+    explicit: false,
+    popularity: '',
+    energy: '',
+    danceability: '',
+    happiness: '',
+    acousticness: '',
+    instrumentalness: '',
+    liveness: '',
+    speechiness: '',
+    loudness: '',
+    albumArt: ''
+  };
+
+  const getText = selectors => {
+    for (const selector of selectors) {
+      const element = $(selector).first();
+      if (element.length) return element.text().trim();
+    }
+    return '';
+  };
+
+  const metaResults = META_SELECTORS.map(([key, selectors]) => {
+    data[key] = getText(selectors);
+    return !!data[key];
+  });
+
+  if (!metaResults.some(r => r)) {
+    return null;
+  }
+
+  data.albumArt = absoluteUrl(
+    $('img[alt*="album"], img[alt*="Album"], img[src*="album"]').first().attr('src'),
+    baseUrl
+  );
+
+  FIELD_PATTERNS.forEach(([key, ...patterns]) => {
+    for (const pattern of patterns) {
+      const match = bodyText.match(pattern);
+      if (match && match[1].trim()) {
+        data[key] = match[1].trim();
+        break;
+      }
+    }
+  });
+
+  data.explicit = /Explicit:\s*Yes/i.test(bodyText);
+  data.recommendations = parseRecommendations($, baseUrl);
+
+  return data;
+}
+
+module.exports = { parseTunebatPage, detectBlockPage };
@@ -0,0 +1,175 @@
+const { parseSpotifySource, extractSpotifyTrackId } = require('./spotify-sources');
+const { parseKey, parseCamelot } = require('./analysis-schema');
+const { ApiError } = require('./api-errors');
+
+// Request validation against JSON Schema (the subset the API's schemas use:
+// type, enum, const, pattern, format, min/maxLength, minimum, maximum,
+// exclusiveMinimum, items, min/maxItems, properties, required,
+// additionalProperties, default). The same schemas describe the API in
+// /api/openapi.json, so what is documented is what is checked. One liberty:
+// minLength counts characters after trimming, so "  " is an empty name.
+//
+// A schema may set `x-error-code` to report its failures under a more
+// specific code than VALIDATION_FAILED (e.g. INVALID_TRACK_ID).
+
+// Formats beyond JSON Schema's own, checked with the app's parsers
+const FORMATS = {
+  'spotify-id':     [value => /^[a-zA-Z0-9]{22}$/.test(value), 'a Spotify ID'],
+  'spotify-track':  [value => !!extractSpotifyTrackId(value), 'a Spotify track link, URI or ID'],
+  'spotify-source': [value => !!parseSpotifySource(value), 'a Spotify track, playlist, album or artist link, or "liked"'],
+  'musical-key':    [value => !!parseKey(value), 'a key such as "F♯ Minor" or "Gbm"'],
+  'camelot':        [value => !!parseCamelot(value), 'a Camelot code such as "8A"']
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeTypes(types) {
+  const names = { integer: 'a whole number', array: 'a list', object: 'an object', null: 'null' };
+  return types.map(t => names[t] || `a ${t}`).join(' or ');
+}
+
+// Collect { path, message, code? } for everything wrong with `value`; `path`
+// is '' for the whole body/query. Missing object properties that have a
+// `default` are filled in place.
+function check(schema, value, path, problems, part) {
+  const fail = message => problems.push({ path, message: `${path || part} ${message}`, code: schema['x-error-code'] });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) return fail(`must be ${describeTypes(types)}`);
+  }
+  if (schema.const !== undefined && value !== schema.const) return fail(`must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail(`must match ${schema.pattern}`);
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format][0](value)) {
+      return fail(`must be ${FORMATS[schema.format][1]}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      return fail(`must be more than ${schema.exclusiveMinimum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, `${path || part}[${i}]`, problems, part));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const child = name => (path ? `${path}.${name}` : name);
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) problems.push({ path: child(name), message: `${child(name)} is required` });
+    });
+    Object.entries(properties).forEach(([name, propertySchema]) => {
+      if (value[name] === undefined && propertySchema.default !== undefined) value[name] = propertySchema.default;
+      if (value[name] !== undefined) check(propertySchema, value[name], child(name), problems, part);
+    });
+    if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+      Object.keys(value).filter(name => !(name in properties)).forEach(name => {
+        if (schema.additionalProperties === false) {
+          problems.push({ path: child(name), message: `${child(name)} is not a known field` });
+        } else {
+          check(schema.additionalProperties, value[name], child(name), problems, part);
+        }
+      });
+    }
+  }
+}
+
+// Query and path values arrive as strings; turn them into what the schema
+// expects where that is unambiguous. Empty values count as not given.
+function coerce(schema, raw) {
+  const values = {};
+  Object.entries(raw).forEach(([name, value]) => {
+    const types = [].concat((schema.properties && schema.properties[name] && schema.properties[name].type) || []);
+    if (value === '' && !types.includes('string')) return;
+    if (typeof value === 'string' && (types.includes('number') || types.includes('integer')) && value.trim() !== '' &&
+        Number.isFinite(Number(value))) {
+      values[name] = Number(value);
+    } else if (typeof value === 'string' && types.includes('boolean') && ['true', 'false'].includes(value)) {
+      values[name] = value === 'true';
+    } else {
+      values[name] = value;
+    }
+  });
+  return values;
+}
+
+// Problems for one part of a request, with `in` (body, query, path) added
+function validatePart(schema, value, part) {
+  const problems = [];
+  check(schema, value, '', problems, part);
+  return problems.map(problem => ({ in: part, ...problem }));
+}
+
+// Problems with one value, for modules that check input themselves;
+// messages start with `name`
+function checkValue(schema, value, name) {
+  const problems = [];
+  check(schema, value, '', problems, name);
+  return problems;
+}
+
+// Route middleware for an operation (see api-schemas.js). Replaces req.body,
+// req.query and req.params with the checked values (coerced, defaults filled)
+// or passes an ApiError on: the first problem's code and message, with every
+// problem in `details`.
+function validate(operation) {
+  const middleware = (req, res, next) => {
+    const problems = [];
+    if (operation.params) {
+      req.params = coerce(operation.params, req.params);
+      problems.push(...validatePart(operation.params, req.params, 'path'));
+    }
+    if (operation.query) {
+      req.query = coerce(operation.query, req.query);
+      problems.push(...validatePart(operation.query, req.query, 'query'));
+    }
+    if (operation.body) {
+      // express.json() leaves {} when there's no JSON body
+      if (req.body === undefined) req.body = {};
+      problems.push(...validatePart(operation.body, req.body, 'body'));
+    }
+
+    if (!problems.length) return next();
+    const [first] = problems;
+    next(new ApiError(first.code || 'VALIDATION_FAILED', first.message, {
+      details: problems.map(({ code, ...problem }) => problem)
+    }));
+  };
+  // Read by openapi.js to document the route
+  middleware.operation = operation;
+  return middleware;
+}
+
+module.exports = { FORMATS, checkValue, validate };